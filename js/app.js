@@ -7,13 +7,61 @@ class BC125ATApp {
   constructor() {
     this.scanner = new BC125AT();
     this.channels = [];
+    this.pristineChannels = new Map();
+    this.verifyMismatches = [];
     this.selectedPort = null;
     this.currentEditingChannel = null;
+    this.bankEnabled = new Array(BC125AT.BANK_COUNT).fill(true);
+    this.bankNames = this.loadBankNames();
+    this.activeBank = null;
+    this.activeTab = 'channels';
+    this.closeCallSettings = this.scanner.createDefaultCloseCallSettings();
+    // Until these are read, loaded or edited they are only defaults, and
+    // Program to Scanner must not write them over the scanner's own
+    this.bankEnablesSet = false;
+    this.closeCallSet = false;
+    this.searchSettings = this.scanner.createDefaultSearchSettings();
+    this.lockouts = [];
+    this.systemSettings = null;
+    this.pristineSystemSettings = null;
+    this.monitoring = false;
+    this.monitorTimer = null;
+    this.activityLog = [];
+    this.currentHit = null;
+    this.signalMetering = false;
+    this.signalTimer = null;
+    this.signalSamples = [];
+    this.signalStats = new Map();
+    this.signalWindow = 60 * 1000;
+    // Samples kept for export: an hour at the fastest rate
+    this.signalSampleLimit = 36000;
+    this.sweepController = null;
+    this.sweepResults = [];
+    this.sweepCandidates = [];
+    this.capturedHits = new Map();
+    this.importTable = null;
+    this.importMappings = this.loadImportMappings();
+    this.bandPlanChange = null;
+    this.history = new EditHistory();
+    this.selectedChannels = new Set();
+    this.selectionAnchor = null;
+    this.analysisGroups = [];
     
     this.initializeElements();
     this.attachEventListeners();
     this.checkWebSerialSupport();
     this.populateCTCSSDCSOptions();
+    this.populateCloseCallBands();
+    this.populateServiceSearchGroups();
+    this.populateBacklightOptions();
+    this.populateSweepSteps();
+    this.populateCaptureBanks();
+    this.renderBanks();
+    this.renderCloseCallSettings();
+    this.renderSearchSettings();
+    this.renderLockouts();
+    this.renderCapturedHits();
+    this.renderHistory();
   }
 
   /**
@@ -23,6 +71,7 @@ class BC125ATApp {
     this.elements = {
       // Connection controls
       selectPortBtn: document.getElementById('selectPort'),
+      selectDemoBtn: document.getElementById('selectDemo'),
       connectBtn: document.getElementById('connect'),
       disconnectBtn: document.getElementById('disconnect'),
       connectionStatus: document.getElementById('connectionStatus'),
@@ -33,13 +82,125 @@ class BC125ATApp {
       // Channel controls
       readChannelsBtn: document.getElementById('readChannels'),
       programChannelsBtn: document.getElementById('programChannels'),
+      programChangesBtn: document.getElementById('programChanges'),
+      validationSummary: document.getElementById('validationSummary'),
+      verifyAfterProgram: document.getElementById('verifyAfterProgram'),
+      verifyReport: document.getElementById('verifyReport'),
+      verifySummary: document.getElementById('verifySummary'),
+      verifyTableBody: document.getElementById('verifyTableBody'),
+      retryMismatchesBtn: document.getElementById('retryMismatches'),
+      acceptScannerValuesBtn: document.getElementById('acceptScannerValues'),
+      dismissVerifyReportBtn: document.getElementById('dismissVerifyReport'),
+      conversionReport: document.getElementById('conversionReport'),
+      conversionTitle: document.getElementById('conversionTitle'),
+      conversionSummary: document.getElementById('conversionSummary'),
+      conversionTableBody: document.getElementById('conversionTableBody'),
+      dismissConversionReportBtn: document.getElementById('dismissConversionReport'),
+      backupRadioBtn: document.getElementById('backupRadio'),
+      restoreRadioBtn: document.getElementById('restoreRadio'),
+      radioImageInput: document.getElementById('radioImageInput'),
       progress: document.getElementById('progress'),
       progressFill: document.getElementById('progressFill'),
       progressText: document.getElementById('progressText'),
       
+      // Tabs
+      tabButtons: document.querySelectorAll('.tab-button'),
+      tabPanels: document.querySelectorAll('.tab-panel'),
+      
+      // Banks
+      bankList: document.getElementById('bankList'),
+      showAllBanksBtn: document.getElementById('showAllBanks'),
+      writeBanksBtn: document.getElementById('writeBanks'),
+      compactBankBtn: document.getElementById('compactBank'),
+      sortBankFrequencyBtn: document.getElementById('sortBankFrequency'),
+      sortBankNameBtn: document.getElementById('sortBankName'),
+      
+      // Close Call
+      readCloseCallBtn: document.getElementById('readCloseCall'),
+      writeCloseCallBtn: document.getElementById('writeCloseCall'),
+      closeCallForm: document.getElementById('closeCallForm'),
+      ccMode: document.getElementById('ccMode'),
+      ccAlertBeep: document.getElementById('ccAlertBeep'),
+      ccAlertLight: document.getElementById('ccAlertLight'),
+      ccLockout: document.getElementById('ccLockout'),
+      ccBands: document.getElementById('ccBands'),
+      
+      // Search
+      readSearchBtn: document.getElementById('readSearch'),
+      writeSearchBtn: document.getElementById('writeSearch'),
+      searchForm: document.getElementById('searchForm'),
+      serviceSearchGroups: document.getElementById('serviceSearchGroups'),
+      searchDelay: document.getElementById('searchDelay'),
+      searchCodeSearch: document.getElementById('searchCodeSearch'),
+      searchRangeTableBody: document.getElementById('searchRangeTableBody'),
+      
+      // Lockouts
+      readLockoutsBtn: document.getElementById('readLockouts'),
+      writeLockoutsBtn: document.getElementById('writeLockouts'),
+      importLockoutsBtn: document.getElementById('importLockouts'),
+      exportLockoutsBtn: document.getElementById('exportLockouts'),
+      lockoutFileInput: document.getElementById('lockoutFileInput'),
+      lockoutFrequency: document.getElementById('lockoutFrequency'),
+      addLockoutBtn: document.getElementById('addLockout'),
+      lockoutCount: document.getElementById('lockoutCount'),
+      lockoutTableBody: document.getElementById('lockoutTableBody'),
+      
+      // System settings
+      readSettingsBtn: document.getElementById('readSettings'),
+      writeSettingsBtn: document.getElementById('writeSettings'),
+      settingsForm: document.getElementById('settingsForm'),
+      sysBacklight: document.getElementById('sysBacklight'),
+      settingInputs: document.querySelectorAll('#settingsForm [data-setting]'),
+      
+      // Reception monitor
+      monitorInterval: document.getElementById('monitorInterval'),
+      startMonitorBtn: document.getElementById('startMonitor'),
+      stopMonitorBtn: document.getElementById('stopMonitor'),
+      monitorDisplay: document.getElementById('monitorDisplay'),
+      keypadKeys: document.querySelectorAll('.keypad .key'),
+      monitorChannel: document.getElementById('monitorChannel'),
+      monitorName: document.getElementById('monitorName'),
+      monitorFrequency: document.getElementById('monitorFrequency'),
+      monitorModulation: document.getElementById('monitorModulation'),
+      monitorTone: document.getElementById('monitorTone'),
+      monitorSquelch: document.getElementById('monitorSquelch'),
+      signalRate: document.getElementById('signalRate'),
+      startSignalBtn: document.getElementById('startSignal'),
+      stopSignalBtn: document.getElementById('stopSignal'),
+      clearSignalBtn: document.getElementById('clearSignal'),
+      exportSignalBtn: document.getElementById('exportSignal'),
+      signalBarFill: document.getElementById('signalBarFill'),
+      signalReading: document.getElementById('signalReading'),
+      signalChart: document.getElementById('signalChart'),
+      signalStatsBody: document.getElementById('signalStatsBody'),
+      captureBank: document.getElementById('captureBank'),
+      commitCapturedHitsBtn: document.getElementById('commitCapturedHits'),
+      clearCapturedHitsBtn: document.getElementById('clearCapturedHits'),
+      captureSummary: document.getElementById('captureSummary'),
+      captureTableBody: document.getElementById('captureTableBody'),
+      clearActivityLogBtn: document.getElementById('clearActivityLog'),
+      
+      // Band sweep
+      startSweepBtn: document.getElementById('startSweep'),
+      stopSweepBtn: document.getElementById('stopSweep'),
+      sweepLower: document.getElementById('sweepLower'),
+      sweepUpper: document.getElementById('sweepUpper'),
+      sweepStep: document.getElementById('sweepStep'),
+      sweepSamples: document.getElementById('sweepSamples'),
+      sweepThreshold: document.getElementById('sweepThreshold'),
+      sweepChart: document.getElementById('sweepChart'),
+      sweepSummary: document.getElementById('sweepSummary'),
+      addCandidatesBtn: document.getElementById('addCandidates'),
+      candidateTableBody: document.getElementById('candidateTableBody'),
+      exportActivityLogBtn: document.getElementById('exportActivityLog'),
+      activityFilter: document.getElementById('activityFilter'),
+      activityCount: document.getElementById('activityCount'),
+      activityTableBody: document.getElementById('activityTableBody'),
+      
       // Import/Export
       importCSVBtn: document.getElementById('importCSV'),
       exportCSVBtn: document.getElementById('exportCSV'),
+      exportChirpBtn: document.getElementById('exportChirp'),
       fileInput: document.getElementById('fileInput'),
       
       // Table and filtering
@@ -47,6 +208,53 @@ class BC125ATApp {
       channelTableBody: document.getElementById('channelTableBody'),
       channelFilter: document.getElementById('channelFilter'),
       showEmpty: document.getElementById('showEmpty'),
+      bandPlanAutofill: document.getElementById('bandPlanAutofill'),
+      bandPlanNotice: document.getElementById('bandPlanNotice'),
+      bandPlanNoticeText: document.getElementById('bandPlanNoticeText'),
+      keepTypedFrequencyBtn: document.getElementById('keepTypedFrequency'),
+      dismissBandPlanNoticeBtn: document.getElementById('dismissBandPlanNotice'),
+      undoBtn: document.getElementById('undoEdit'),
+      redoBtn: document.getElementById('redoEdit'),
+      toggleHistoryBtn: document.getElementById('toggleHistory'),
+      historyPanel: document.getElementById('historyPanel'),
+      historyList: document.getElementById('historyList'),
+      clearHistoryBtn: document.getElementById('clearHistory'),
+      findDuplicatesBtn: document.getElementById('findDuplicates'),
+      analysisPanel: document.getElementById('analysisPanel'),
+      analysisTolerance: document.getElementById('analysisTolerance'),
+      runAnalysisBtn: document.getElementById('runAnalysis'),
+      dismissAnalysisBtn: document.getElementById('dismissAnalysis'),
+      analysisSummary: document.getElementById('analysisSummary'),
+      analysisTableBody: document.getElementById('analysisTableBody'),
+      selectionCount: document.getElementById('selectionCount'),
+      selectAllShownBtn: document.getElementById('selectAllShown'),
+      clearSelectionBtn: document.getElementById('clearSelection'),
+      bulkEditBtn: document.getElementById('bulkEdit'),
+      bulkClearBtn: document.getElementById('bulkClear'),
+      findReplaceBtn: document.getElementById('findReplace'),
+      layoutFrom: document.getElementById('layoutFrom'),
+      layoutTo: document.getElementById('layoutTo'),
+      moveChannelBtn: document.getElementById('moveChannel'),
+      swapChannelsBtn: document.getElementById('swapChannels'),
+      insertChannelBtn: document.getElementById('insertChannel'),
+      
+      // Bulk edit and find/replace
+      bulkEditModal: document.getElementById('bulkEditModal'),
+      bulkEditCount: document.getElementById('bulkEditCount'),
+      bulkEditSelects: document.querySelectorAll('#bulkEditForm select'),
+      bulkCTCSSDCS: document.getElementById('bulkCTCSSDCS'),
+      applyBulkEditBtn: document.getElementById('applyBulkEdit'),
+      cancelBulkEditBtn: document.getElementById('cancelBulkEdit'),
+      closeBulkEditBtn: document.getElementById('closeBulkEdit'),
+      replaceModal: document.getElementById('replaceModal'),
+      replaceFind: document.getElementById('replaceFind'),
+      replaceWith: document.getElementById('replaceWith'),
+      replaceMatchCase: document.getElementById('replaceMatchCase'),
+      replaceSelectedOnly: document.getElementById('replaceSelectedOnly'),
+      replacePreview: document.getElementById('replacePreview'),
+      applyReplaceBtn: document.getElementById('applyReplace'),
+      cancelReplaceBtn: document.getElementById('cancelReplace'),
+      closeReplaceBtn: document.getElementById('closeReplace'),
       
       // Modal
       editModal: document.getElementById('editModal'),
@@ -55,13 +263,34 @@ class BC125ATApp {
       editName: document.getElementById('editName'),
       editFrequency: document.getElementById('editFrequency'),
       editModulation: document.getElementById('editModulation'),
+      editBandHint: document.getElementById('editBandHint'),
+      editBandSuggestion: document.getElementById('editBandSuggestion'),
+      editBandSuggestionText: document.getElementById('editBandSuggestionText'),
+      useBandSuggestionBtn: document.getElementById('useBandSuggestion'),
       editCTCSSDCS: document.getElementById('editCTCSSDCS'),
       editDelay: document.getElementById('editDelay'),
       editLockout: document.getElementById('editLockout'),
       editPriority: document.getElementById('editPriority'),
       saveChannelBtn: document.getElementById('saveChannel'),
       deleteChannelBtn: document.getElementById('deleteChannel'),
-      closeModalBtns: document.querySelectorAll('.close, .close-modal')
+      closeModalBtns: document.querySelectorAll('#editModal .close, #editModal .close-modal'),
+      
+      // Frequency list import wizard
+      importListBtn: document.getElementById('importList'),
+      listFileInput: document.getElementById('listFileInput'),
+      importWizard: document.getElementById('importWizard'),
+      wizardSummary: document.getElementById('wizardSummary'),
+      mappingSelects: document.querySelectorAll('#wizardForm select[data-field]'),
+      wizardPlacement: document.getElementById('wizardPlacement'),
+      savedMappings: document.getElementById('savedMappings'),
+      mappingName: document.getElementById('mappingName'),
+      saveMappingBtn: document.getElementById('saveMapping'),
+      deleteMappingBtn: document.getElementById('deleteMapping'),
+      wizardPreviewSummary: document.getElementById('wizardPreviewSummary'),
+      wizardTableBody: document.getElementById('wizardTableBody'),
+      confirmImportListBtn: document.getElementById('confirmImportList'),
+      closeImportWizardBtn: document.getElementById('closeImportWizard'),
+      cancelImportWizardBtn: document.getElementById('cancelImportWizard')
     };
   }
 
@@ -71,22 +300,163 @@ class BC125ATApp {
   attachEventListeners() {
     // Connection events
     this.elements.selectPortBtn.addEventListener('click', () => this.selectPort());
+    this.elements.selectDemoBtn.addEventListener('click', () => this.selectDemoScanner());
     this.elements.connectBtn.addEventListener('click', () => this.connect());
     this.elements.disconnectBtn.addEventListener('click', () => this.disconnect());
     
     // Channel operations
     this.elements.readChannelsBtn.addEventListener('click', () => this.readAllChannels());
     this.elements.programChannelsBtn.addEventListener('click', () => this.programAllChannels());
+    this.elements.programChangesBtn.addEventListener('click', () => this.programChangedChannels());
+    
+    // Verification report
+    this.elements.retryMismatchesBtn.addEventListener('click', () => this.retryMismatches());
+    this.elements.acceptScannerValuesBtn.addEventListener('click', () => this.acceptScannerValues());
+    this.elements.dismissVerifyReportBtn.addEventListener('click', () => this.setVerifyMismatches([]));
+    this.elements.dismissConversionReportBtn.addEventListener('click', () => this.renderConversionReport(null));
+    
+    // Whole radio backup/restore
+    this.elements.backupRadioBtn.addEventListener('click', () => this.backupRadio());
+    this.elements.restoreRadioBtn.addEventListener('click', () => this.elements.radioImageInput.click());
+    this.elements.radioImageInput.addEventListener('change', (e) => this.restoreRadio(e));
+    
+    // Tabs
+    this.elements.tabButtons.forEach(btn => {
+      btn.addEventListener('click', () => this.switchTab(btn.dataset.tab));
+    });
+    
+    // Banks
+    this.elements.showAllBanksBtn.addEventListener('click', () => this.showBank(null));
+    this.elements.writeBanksBtn.addEventListener('click', () => this.writeBankEnables());
+    this.elements.compactBankBtn.addEventListener('click', () => this.compactBank());
+    this.elements.sortBankFrequencyBtn.addEventListener('click', () => this.sortBank('frequency'));
+    this.elements.sortBankNameBtn.addEventListener('click', () => this.sortBank('name'));
+    
+    // Close Call
+    this.elements.readCloseCallBtn.addEventListener('click', () => this.readCloseCallSettings());
+    this.elements.writeCloseCallBtn.addEventListener('click', () => this.writeCloseCallSettings());
+    this.elements.closeCallForm.addEventListener('change', () => this.updateCloseCallFromForm());
+    
+    // Search
+    this.elements.readSearchBtn.addEventListener('click', () => this.readSearchSettings());
+    this.elements.writeSearchBtn.addEventListener('click', () => this.writeSearchSettings());
+    this.elements.searchForm.addEventListener('change', () => this.updateSearchFromForm());
+    
+    // Lockouts
+    this.elements.readLockoutsBtn.addEventListener('click', () => this.readLockouts());
+    this.elements.writeLockoutsBtn.addEventListener('click', () => this.writeLockouts());
+    this.elements.importLockoutsBtn.addEventListener('click', () => this.elements.lockoutFileInput.click());
+    this.elements.exportLockoutsBtn.addEventListener('click', () => this.exportLockouts());
+    this.elements.lockoutFileInput.addEventListener('change', (e) => this.importLockouts(e));
+    this.elements.addLockoutBtn.addEventListener('click', () => this.addLockout());
+    this.elements.lockoutFrequency.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        this.addLockout();
+      }
+    });
+    
+    // System settings
+    this.elements.readSettingsBtn.addEventListener('click', () => this.readSystemSettings());
+    this.elements.writeSettingsBtn.addEventListener('click', () => this.writeSystemSettings());
+    this.elements.settingsForm.addEventListener('input', () => this.updateSystemSettingsFromForm());
+    this.elements.settingsForm.addEventListener('change', () => this.updateSystemSettingsFromForm());
+    
+    // Reception monitor
+    this.elements.startMonitorBtn.addEventListener('click', () => this.startMonitor());
+    this.elements.stopMonitorBtn.addEventListener('click', () => this.stopMonitor());
+    this.elements.startSignalBtn.addEventListener('click', () => this.startSignalMeter());
+    this.elements.stopSignalBtn.addEventListener('click', () => this.stopSignalMeter());
+    this.elements.clearSignalBtn.addEventListener('click', () => this.clearSignalSamples());
+    this.elements.exportSignalBtn.addEventListener('click', () => this.exportSignalSamples());
+    this.elements.commitCapturedHitsBtn.addEventListener('click', () => this.commitCapturedHits());
+    this.elements.clearCapturedHitsBtn.addEventListener('click', () => this.clearCapturedHits());
+    this.elements.clearActivityLogBtn.addEventListener('click', () => this.clearActivityLog());
+    this.elements.exportActivityLogBtn.addEventListener('click', () => this.exportActivityLog());
+    this.elements.activityFilter.addEventListener('input', () => this.renderActivityLog());
+    this.elements.keypadKeys.forEach(key => {
+      key.addEventListener('click', (e) => this.pressKey(key.dataset.key, e.shiftKey ? 'L' : 'P'));
+    });
+    document.addEventListener('keydown', (e) => this.handleKeypadShortcut(e));
+    
+    // Band sweep
+    this.elements.startSweepBtn.addEventListener('click', () => this.startSweep());
+    this.elements.stopSweepBtn.addEventListener('click', () => this.stopSweep());
+    this.elements.sweepThreshold.addEventListener('input', () => this.updateSweepCandidates());
+    this.elements.addCandidatesBtn.addEventListener('click', () => this.addCandidatesToChannels());
     
     // Import/Export
     this.elements.importCSVBtn.addEventListener('click', () => this.elements.fileInput.click());
     this.elements.exportCSVBtn.addEventListener('click', () => this.exportToCSV());
+    this.elements.exportChirpBtn.addEventListener('click', () => this.exportToChirp());
+    this.elements.importListBtn.addEventListener('click', () => this.elements.listFileInput.click());
+    this.elements.listFileInput.addEventListener('change', (e) => this.openImportWizard(e));
+    this.elements.mappingSelects.forEach(select => {
+      select.addEventListener('change', () => this.renderImportPreview());
+    });
+    this.elements.savedMappings.addEventListener('change', () => this.applySavedMapping());
+    this.elements.saveMappingBtn.addEventListener('click', () => this.saveImportMapping());
+    this.elements.deleteMappingBtn.addEventListener('click', () => this.deleteImportMapping());
+    this.elements.confirmImportListBtn.addEventListener('click', () => this.importFrequencyList());
+    this.elements.closeImportWizardBtn.addEventListener('click', () => this.closeImportWizard());
+    this.elements.cancelImportWizardBtn.addEventListener('click', () => this.closeImportWizard());
     this.elements.fileInput.addEventListener('change', (e) => this.importFromCSV(e));
     
     // Filtering
     this.elements.channelFilter.addEventListener('input', () => this.filterChannels());
     this.elements.showEmpty.addEventListener('change', () => this.filterChannels());
     
+    // Band plan auto-fill
+    this.elements.bandPlanAutofill.checked = localStorage.getItem('bc125at.bandPlanAutofill') !== 'off';
+    this.elements.bandPlanAutofill.addEventListener('change', () => {
+      localStorage.setItem('bc125at.bandPlanAutofill', this.elements.bandPlanAutofill.checked ? 'on' : 'off');
+    });
+    this.elements.keepTypedFrequencyBtn.addEventListener('click', () => this.revertBandPlanChange());
+    this.elements.dismissBandPlanNoticeBtn.addEventListener('click', () => this.showBandPlanChange(null));
+    this.elements.editFrequency.addEventListener('input', () => this.updateBandHint());
+    this.elements.editModulation.addEventListener('change', () => this.updateBandHint());
+    this.elements.useBandSuggestionBtn.addEventListener('click', () => this.applyBandPlanToForm());
+    
+    // Undo history
+    this.elements.undoBtn.addEventListener('click', () => this.undo());
+    this.elements.redoBtn.addEventListener('click', () => this.redo());
+    this.elements.toggleHistoryBtn.addEventListener('click', () => this.toggleHistoryPanel());
+    this.elements.clearHistoryBtn.addEventListener('click', () => {
+      this.history.clear();
+      this.renderHistory();
+    });
+    document.addEventListener('keydown', (e) => this.handleHistoryShortcut(e));
+    
+    // Selection and bulk editing
+    this.elements.selectAllShownBtn.addEventListener('click', () => this.selectAllShown());
+    this.elements.clearSelectionBtn.addEventListener('click', () => this.clearSelection());
+    this.elements.bulkEditBtn.addEventListener('click', () => this.openBulkEdit());
+    this.elements.bulkClearBtn.addEventListener('click', () => this.bulkClearChannels());
+    this.elements.applyBulkEditBtn.addEventListener('click', () => this.applyBulkEdit());
+    this.elements.cancelBulkEditBtn.addEventListener('click', () => this.closeBulkEdit());
+    this.elements.closeBulkEditBtn.addEventListener('click', () => this.closeBulkEdit());
+    this.elements.findReplaceBtn.addEventListener('click', () => this.openFindReplace());
+    
+    // Duplicate and conflict analysis
+    this.elements.findDuplicatesBtn.addEventListener('click', () => this.openAnalysis());
+    this.elements.runAnalysisBtn.addEventListener('click', () => this.runAnalysis());
+    this.elements.dismissAnalysisBtn.addEventListener('click', () => {
+      this.elements.analysisPanel.style.display = 'none';
+    });
+    
+    // Moving channels between slots
+    this.elements.moveChannelBtn.addEventListener('click', () => this.runLayoutCommand('move'));
+    this.elements.swapChannelsBtn.addEventListener('click', () => this.runLayoutCommand('swap'));
+    this.elements.insertChannelBtn.addEventListener('click', () => this.runLayoutCommand('insert'));
+    [this.elements.replaceFind, this.elements.replaceWith].forEach(input => {
+      input.addEventListener('input', () => this.updateReplacePreview());
+    });
+    [this.elements.replaceMatchCase, this.elements.replaceSelectedOnly].forEach(input => {
+      input.addEventListener('change', () => this.updateReplacePreview());
+    });
+    this.elements.applyReplaceBtn.addEventListener('click', () => this.applyFindReplace());
+    this.elements.cancelReplaceBtn.addEventListener('click', () => this.closeFindReplace());
+    this.elements.closeReplaceBtn.addEventListener('click', () => this.closeFindReplace());
+    
     // Modal events
     this.elements.saveChannelBtn.addEventListener('click', () => this.saveChannelEdit());
     this.elements.deleteChannelBtn.addEventListener('click', () => this.deleteChannelEdit());
@@ -109,7 +479,7 @@ class BC125ATApp {
    */
   checkWebSerialSupport() {
     if (!('serial' in navigator)) {
-      alert('Web Serial API is not supported in this browser. Please use Chrome, Edge, or another Chromium-based browser.');
+      alert('Web Serial API is not supported in this browser. Please use Chrome, Edge, or another Chromium-based browser. The Demo Scanner is still available.');
       this.elements.selectPortBtn.disabled = true;
     }
   }
@@ -118,22 +488,22 @@ class BC125ATApp {
    * Populate CTCSS/DCS options in the edit modal
    */
   populateCTCSSDCSOptions() {
-    const select = this.elements.editCTCSSDCS;
-    
-    // Add CTCSS options
-    Object.entries(this.scanner.ctcssCodes).forEach(([code, freq]) => {
-      const option = document.createElement('option');
-      option.value = code;
-      option.textContent = `CTCSS ${freq}Hz`;
-      select.appendChild(option);
-    });
-    
-    // Add DCS options
-    Object.entries(this.scanner.dcsCodes).forEach(([code, dcs]) => {
-      const option = document.createElement('option');
-      option.value = code;
-      option.textContent = `DCS ${dcs}`;
-      select.appendChild(option);
+    [this.elements.editCTCSSDCS, this.elements.bulkCTCSSDCS].forEach(select => {
+      // Add CTCSS options
+      Object.entries(this.scanner.ctcssCodes).forEach(([code, freq]) => {
+        const option = document.createElement('option');
+        option.value = code;
+        option.textContent = `CTCSS ${freq}Hz`;
+        select.appendChild(option);
+      });
+      
+      // Add DCS options
+      Object.entries(this.scanner.dcsCodes).forEach(([code, dcs]) => {
+        const option = document.createElement('option');
+        option.value = code;
+        option.textContent = `DCS ${dcs}`;
+        select.appendChild(option);
+      });
     });
   }
 
@@ -151,6 +521,15 @@ class BC125ATApp {
     }
   }
 
+  /**
+   * Select the built-in demo scanner instead of a serial port
+   */
+  selectDemoScanner() {
+    this.selectedPort = new BC125ATEmulator({ demo: true });
+    this.elements.connectBtn.disabled = false;
+    this.showStatus('Demo scanner selected', 'info');
+  }
+
   /**
    * Connect to scanner
    */
@@ -165,16 +544,20 @@ class BC125ATApp {
     try {
       const success = await this.scanner.connect(this.selectedPort);
       if (success) {
+        // A different radio may be attached now, so forget what was last synced
+        this.setPristineChannels([]);
+        this.setVerifyMismatches([]);
         await this.scanner.enterProgramMode();
         await this.updateScannerInfo();
         this.updateConnectionUI(true);
+        await this.readSystemSettings();
         this.showStatus('Connected', 'success');
       } else {
         this.showStatus('Connection failed', 'error');
       }
     } catch (error) {
       console.error('Connection error:', error);
-      this.showStatus('Connection error: ' + error.message, 'error');
+      this.showStatus('Connection error: ' + this.describeError(error), 'error');
     } finally {
       this.showProgress(false);
     }
@@ -185,160 +568,2982 @@ class BC125ATApp {
    */
   async disconnect() {
     try {
+      this.haltMonitor();
       await this.scanner.disconnect();
       this.updateConnectionUI(false);
       this.showStatus('Disconnected', 'info');
     } catch (error) {
       console.error('Disconnect error:', error);
-      this.showStatus('Disconnect error: ' + error.message, 'error');
+      this.showStatus('Disconnect error: ' + this.describeError(error), 'error');
+    }
+  }
+
+  /**
+   * Update scanner info display
+   */
+  async updateScannerInfo() {
+    try {
+      const model = await this.scanner.getModelInfo();
+      const firmware = await this.scanner.getFirmwareVersion();
+      
+      this.elements.modelInfo.textContent = `Model: ${model}`;
+      this.elements.firmwareInfo.textContent = `Firmware: ${firmware}`;
+      this.elements.scannerInfo.style.display = 'block';
+    } catch (error) {
+      console.error('Failed to get scanner info:', error);
+    }
+  }
+
+  /**
+   * Update connection UI state
+   */
+  updateConnectionUI(connected) {
+    // Memory commands need program mode, which the monitor and sweep leave
+    const sweeping = this.sweepController !== null;
+    const ready = connected && !this.monitoring && !sweeping;
+    
+    this.elements.connectBtn.disabled = connected;
+    this.elements.disconnectBtn.disabled = !connected;
+    this.elements.readChannelsBtn.disabled = !ready;
+    this.elements.programChannelsBtn.disabled = !ready || this.channels.length === 0;
+    this.updateDirtyCount();
+    this.elements.retryMismatchesBtn.disabled = !ready;
+    this.elements.backupRadioBtn.disabled = !ready;
+    this.elements.restoreRadioBtn.disabled = !ready;
+    this.elements.writeBanksBtn.disabled = !ready;
+    this.elements.readCloseCallBtn.disabled = !ready;
+    this.elements.writeCloseCallBtn.disabled = !ready;
+    this.elements.readSearchBtn.disabled = !ready;
+    this.elements.writeSearchBtn.disabled = !ready;
+    this.elements.readLockoutsBtn.disabled = !ready;
+    this.elements.writeLockoutsBtn.disabled = !ready;
+    this.elements.readSettingsBtn.disabled = !ready;
+    this.elements.writeSettingsBtn.disabled = !ready || Object.keys(this.getChangedSystemSettings()).length === 0;
+    this.elements.startMonitorBtn.disabled = !connected || this.monitoring || sweeping;
+    this.elements.stopMonitorBtn.disabled = !this.monitoring;
+    this.elements.keypadKeys.forEach(key => {
+      key.disabled = !this.monitoring;
+    });
+    this.elements.startSignalBtn.disabled = !this.monitoring || this.signalMetering;
+    this.elements.stopSignalBtn.disabled = !this.signalMetering;
+    this.elements.startSweepBtn.disabled = !ready;
+    this.elements.stopSweepBtn.disabled = !sweeping;
+    
+    const status = this.elements.connectionStatus;
+    status.textContent = connected ? 'Connected' : 'Disconnected';
+    status.className = `status ${connected ? 'connected' : 'disconnected'}`;
+    
+    if (!connected) {
+      this.elements.scannerInfo.style.display = 'none';
+    }
+  }
+
+  /**
+   * Read all channels from scanner
+   */
+  async readAllChannels() {
+    this.showProgress(true, 'Reading channels...');
+    const before = EditHistory.snapshot(this.channels);
+    
+    try {
+      const channels = await this.scanner.getAllChannels((current, total) => {
+        const percent = Math.round((current / total) * 100);
+        this.updateProgress(percent, `Reading channel ${current}/${total}`);
+      });
+      const bankEnabled = await this.scanner.getScanChannelGroups();
+      const closeCallSettings = await this.scanner.getCloseCallSettings();
+      
+      // Nothing changes until every read has succeeded
+      this.channels = channels;
+      this.bankEnabled = bankEnabled;
+      this.closeCallSettings = closeCallSettings;
+      this.bankEnablesSet = true;
+      this.closeCallSet = true;
+      this.renderCloseCallSettings();
+      this.setPristineChannels(this.channels);
+      this.setVerifyMismatches([]);
+      
+      this.displayChannels();
+      this.elements.exportCSVBtn.disabled = false;
+      this.elements.exportChirpBtn.disabled = false;
+      this.elements.programChannelsBtn.disabled = false;
+      this.recordHistory('Read channels from scanner', before);
+      this.showStatus(`Read ${this.channels.length} channels`, 'success');
+    } catch (error) {
+      console.error('Failed to read channels:', error);
+      this.showStatus('Failed to read channels: ' + this.describeError(error), 'error');
+    } finally {
+      this.showProgress(false);
+    }
+  }
+
+  /**
+   * Program all channels to scanner
+   */
+  async programAllChannels() {
+    if (!this.confirmValidChannels(this.channels)) {
+      return;
+    }
+    if (!confirm('This will overwrite all channels on the scanner. Continue?')) {
+      return;
+    }
+
+    this.showProgress(true, 'Programming channels...');
+    
+    try {
+      const written = await this.scanner.programChannels(this.channels, (current, total) => {
+        const percent = Math.round((current / total) * 100);
+        this.updateProgress(percent, `Programming channel ${current}/${total}`);
+      });
+      this.markChannelsSynced(written);
+      
+      // Bank enables and Close Call go along only if they came from the
+      // scanner, a file or the user, never as untouched defaults
+      const alsoWritten = [];
+      if (this.bankEnablesSet && this.bankEnabled.includes(true)) {
+        await this.scanner.setScanChannelGroups(this.bankEnabled);
+        alsoWritten.push('bank enables');
+      }
+      if (this.closeCallSet) {
+        await this.scanner.setCloseCallSettings(this.closeCallSettings);
+        alsoWritten.push('Close Call settings');
+      }
+      
+      let message = `Programmed ${written.length}/${this.channels.length} channels`;
+      if (alsoWritten.length > 0) {
+        message += ` and ${alsoWritten.join(' and ')}`;
+      }
+      if (this.bankEnablesSet && !this.bankEnabled.includes(true)) {
+        message += '; bank enables not written, at least one bank must be enabled for scanning';
+      }
+      this.showStatus(message, 'success');
+      
+      if (this.elements.verifyAfterProgram.checked) {
+        await this.verifyChannels(written);
+      }
+    } catch (error) {
+      console.error('Failed to program channels:', error);
+      this.showStatus('Failed to program channels: ' + this.describeError(error), 'error');
+    } finally {
+      this.showProgress(false);
+    }
+  }
+
+  /**
+   * Program only the channels that differ from the scanner
+   */
+  async programChangedChannels() {
+    if (this.pristineChannels.size === 0) {
+      this.showStatus('Read channels from the scanner first, or use Program to Scanner', 'error');
+      return;
+    }
+    
+    const dirty = this.getDirtyChannels();
+    if (dirty.length === 0) {
+      this.showStatus('No channel changes to program', 'info');
+      return;
+    }
+    
+    if (!this.confirmValidChannels(dirty)) {
+      return;
+    }
+    
+    if (!confirm(`Program ${dirty.length} changed channel${dirty.length === 1 ? '' : 's'} to the scanner?`)) {
+      return;
+    }
+    
+    this.showProgress(true, 'Programming changes...');
+    
+    try {
+      const written = await this.scanner.programChannels(dirty, (current, total) => {
+        const percent = Math.round((current / total) * 100);
+        this.updateProgress(percent, `Programming change ${current}/${total}`);
+      });
+      this.markChannelsSynced(written);
+      
+      this.showStatus(`Programmed ${written.length}/${dirty.length} changed channels`, 'success');
+      
+      if (this.elements.verifyAfterProgram.checked) {
+        await this.verifyChannels(written);
+      }
+    } catch (error) {
+      console.error('Failed to program changes:', error);
+      this.showStatus('Failed to program changes: ' + this.describeError(error), 'error');
+    } finally {
+      this.showProgress(false);
+    }
+  }
+
+  /**
+   * Read channels back from the scanner and report any stored differently
+   * @param {number[]} indexes - channels to check
+   */
+  async verifyChannels(indexes) {
+    const wanted = new Set(indexes);
+    const channels = this.channels.filter(channel => wanted.has(channel.index));
+    
+    this.showProgress(true, 'Verifying channels...');
+    
+    try {
+      const mismatches = await this.scanner.verifyChannels(channels, (current, total) => {
+        const percent = Math.round((current / total) * 100);
+        this.updateProgress(percent, `Verifying channel ${current}/${total}`);
+      });
+      
+      // The scanner holds something other than our copy, so keep those rows marked as changed
+      mismatches.forEach(mismatch => {
+        if (mismatch.actual) {
+          this.pristineChannels.set(mismatch.index, { ...mismatch.actual });
+        } else {
+          this.pristineChannels.delete(mismatch.index);
+        }
+      });
+      this.refreshDirtyState();
+      this.setVerifyMismatches(mismatches);
+      
+      if (mismatches.length === 0) {
+        this.showStatus(`Verified ${channels.length} channels`, 'success');
+      } else {
+        this.showStatus(`${mismatches.length} of ${channels.length} channels did not verify`, 'error');
+      }
+    } catch (error) {
+      console.error('Failed to verify channels:', error);
+      this.showStatus('Failed to verify channels: ' + this.describeError(error), 'error');
+    } finally {
+      this.showProgress(false);
+    }
+  }
+
+  /**
+   * Show the verification report for a list of mismatches
+   */
+  setVerifyMismatches(mismatches) {
+    this.verifyMismatches = mismatches;
+    this.renderVerifyReport();
+  }
+
+  /**
+   * Render the verification report, hiding it when there is nothing to show
+   */
+  renderVerifyReport() {
+    const mismatches = this.verifyMismatches;
+    const tbody = this.elements.verifyTableBody;
+    tbody.innerHTML = '';
+    
+    this.elements.verifyReport.style.display = mismatches.length > 0 ? 'block' : 'none';
+    this.elements.acceptScannerValuesBtn.disabled = !mismatches.some(mismatch => mismatch.actual);
+    this.elements.verifySummary.textContent = `${mismatches.length} channel${mismatches.length === 1 ? '' : 's'} ` +
+      'read back differently from what was sent. Retry to write them again, or use the scanner\'s values to keep what it stored.';
+    
+    const labels = {
+      name: 'Name',
+      frequency: 'Frequency (MHz)',
+      modulation: 'Modulation',
+      ctcssDcs: 'CTCSS/DCS',
+      delay: 'Delay',
+      lockout: 'Lockout',
+      priority: 'Priority'
+    };
+    
+    mismatches.forEach(mismatch => {
+      const rows = mismatch.actual
+        ? mismatch.fields.map(field => [labels[field],
+          this.formatChannelField(mismatch.expected, field),
+          this.formatChannelField(mismatch.actual, field)])
+        : [['', '', `Could not read back: ${mismatch.error}`]];
+      
+      rows.forEach(([label, expected, actual]) => {
+        const row = document.createElement('tr');
+        [mismatch.index, label, expected, actual].forEach(text => {
+          const cell = document.createElement('td');
+          cell.textContent = text;
+          row.appendChild(cell);
+        });
+        tbody.appendChild(row);
+      });
+    });
+  }
+
+  /**
+   * Text for one channel field in the verification report
+   */
+  formatChannelField(channel, field) {
+    switch (field) {
+      case 'name':
+        return channel.name ? `"${channel.name}"` : '(blank)';
+      case 'frequency':
+        return channel.frequency > 0 ? channel.frequency.toFixed(6) : '(empty)';
+      case 'ctcssDcs':
+        return this.scanner.getCTCSSDCSText(channel.ctcssDcs);
+      case 'delay':
+        return channel.delay + 's';
+      case 'lockout':
+      case 'priority':
+        return channel[field] ? 'Yes' : 'No';
+      default:
+        return String(channel[field]);
+    }
+  }
+
+  /**
+   * Write the channels in the verification report again and re-check them
+   */
+  async retryMismatches() {
+    const indexes = this.verifyMismatches.map(mismatch => mismatch.index);
+    const wanted = new Set(indexes);
+    const channels = this.channels.filter(channel => wanted.has(channel.index));
+    
+    this.showProgress(true, 'Retrying channels...');
+    
+    try {
+      const written = await this.scanner.programChannels(channels, (current, total) => {
+        const percent = Math.round((current / total) * 100);
+        this.updateProgress(percent, `Retrying channel ${current}/${total}`);
+      });
+      this.markChannelsSynced(written);
+      
+      // Check every retried channel, so any the scanner rejected stay in the report
+      await this.verifyChannels(indexes);
+    } catch (error) {
+      console.error('Failed to retry channels:', error);
+      this.showStatus('Failed to retry channels: ' + this.describeError(error), 'error');
+    } finally {
+      this.showProgress(false);
     }
   }
 
   /**
-   * Update scanner info display
+   * Replace mismatched channels with what the scanner actually stored
+   */
+  acceptScannerValues() {
+    const accepted = this.verifyMismatches.filter(mismatch => mismatch.actual);
+    const before = EditHistory.snapshot(this.channels);
+    
+    accepted.forEach(mismatch => {
+      const position = this.channels.findIndex(channel => channel.index === mismatch.index);
+      if (position !== -1) {
+        this.channels[position] = { ...mismatch.actual };
+      }
+      this.pristineChannels.set(mismatch.index, { ...mismatch.actual });
+    });
+    
+    this.setVerifyMismatches(this.verifyMismatches.filter(mismatch => !mismatch.actual));
+    this.displayChannels();
+    this.recordHistory('Use scanner values', before);
+    this.showStatus(`Kept the scanner's values for ${accepted.length} channels`, 'success');
+  }
+
+  /**
+   * Remember channels as the scanner's current contents
+   */
+  setPristineChannels(channels) {
+    this.pristineChannels = new Map(channels.map(channel => [channel.index, { ...channel }]));
+    this.refreshDirtyState();
+  }
+
+  /**
+   * Record that the given channels now match the scanner
+   */
+  markChannelsSynced(indexes) {
+    indexes.forEach(index => {
+      const channel = this.channels.find(ch => ch.index === index);
+      if (channel) {
+        this.pristineChannels.set(index, { ...channel });
+      }
+    });
+    this.refreshDirtyState();
+  }
+
+  /**
+   * Whether a channel differs from what was last read from or written to the scanner
+   */
+  isChannelDirty(channel) {
+    if (this.pristineChannels.size === 0) return false;
+    
+    const pristine = this.pristineChannels.get(channel.index);
+    return !pristine || !this.scanner.isSameChannel(pristine, channel);
+  }
+
+  /**
+   * Channels edited since they were last synced with the scanner
+   */
+  getDirtyChannels() {
+    return this.channels.filter(channel => this.isChannelDirty(channel));
+  }
+
+  /**
+   * Update a row's empty/dirty markers
+   */
+  updateRowState(row, channel) {
+    row.classList.toggle('empty', this.scanner.isEmptyChannel(channel));
+    row.classList.toggle('dirty', this.isChannelDirty(channel));
+    this.markCellIssues(row, ChannelValidator.validateChannel(this.scanner, channel));
+  }
+
+  /**
+   * Highlight the cells of a row that fail validation, with the reasons as
+   * a tooltip
+   */
+  markCellIssues(row, issues) {
+    row.querySelectorAll('td[data-field]').forEach(cell => {
+      const cellIssues = issues.filter(issue => issue.field === cell.dataset.field);
+      const hasError = cellIssues.some(issue => issue.severity === 'error');
+      cell.classList.toggle('cell-error', hasError);
+      cell.classList.toggle('cell-warning', !hasError && cellIssues.length > 0);
+      if (cellIssues.length > 0) {
+        cell.title = cellIssues.map(issue => issue.message).join('\n');
+      } else {
+        cell.removeAttribute('title');
+      }
+    });
+  }
+
+  /**
+   * Show how many channels fail validation above the channel table
+   */
+  updateValidationSummary() {
+    const { errors, warnings } = ChannelValidator.summarize(
+      ChannelValidator.validateChannels(this.scanner, this.channels));
+    const summary = this.elements.validationSummary;
+    
+    summary.classList.toggle('has-errors', errors > 0);
+    summary.classList.toggle('has-warnings', errors === 0 && warnings > 0);
+    summary.textContent = errors + warnings === 0 ? '' :
+      `${errors} error${errors === 1 ? '' : 's'}, ${warnings} warning${warnings === 1 ? '' : 's'}`;
+  }
+
+  /**
+   * Check channels before they are sent to the scanner. Errors stop
+   * programming; warnings ask first.
+   * @returns {boolean} whether to go ahead
+   */
+  confirmValidChannels(channels) {
+    const results = ChannelValidator.validateChannels(this.scanner, channels);
+    const { errors, warnings, channels: invalid } = ChannelValidator.summarize(results);
+    
+    if (errors > 0) {
+      const indexes = [...results.keys()].filter(index =>
+        results.get(index).some(issue => issue.severity === 'error'));
+      this.showStatus(`${invalid} channel${invalid === 1 ? ' has' : 's have'} settings the scanner will reject ` +
+        `(${indexes.slice(0, 10).join(', ')}${indexes.length > 10 ? ', ...' : ''}). Fix the highlighted cells first.`, 'error');
+      return false;
+    }
+    if (warnings > 0) {
+      return confirm(`${warnings} channel setting${warnings === 1 ? ' has a warning' : 's have warnings'} ` +
+        '(highlighted in the table). Program anyway?');
+    }
+    return true;
+  }
+
+  /**
+   * Validation problems in imported channels, as conversion report notes
+   */
+  getValidationNotes(channels) {
+    const notes = [];
+    ChannelValidator.validateChannels(this.scanner, channels).forEach((issues, index) => {
+      issues.forEach(issue => notes.push({
+        channel: index,
+        field: ChannelValidator.FIELD_LABELS[issue.field],
+        message: issue.severity === 'error' ? `${issue.message}; fix before programming` : issue.message
+      }));
+    });
+    return notes;
+  }
+
+  /**
+   * Re-mark every row and refresh the changed channel count
+   */
+  refreshDirtyState() {
+    const channelsByIndex = new Map(this.channels.map(channel => [channel.index, channel]));
+    
+    this.elements.channelTableBody.querySelectorAll('tr').forEach(row => {
+      const channel = channelsByIndex.get(parseInt(row.dataset.channelIndex));
+      if (channel) {
+        this.updateRowState(row, channel);
+      }
+    });
+    
+    this.updateDirtyCount();
+  }
+
+  /**
+   * Show the number of changed channels on the Program Changes button
+   */
+  updateDirtyCount() {
+    const count = this.getDirtyChannels().length;
+    this.elements.programChangesBtn.textContent = count > 0 ? `Program Changes (${count})` : 'Program Changes';
+    this.elements.programChangesBtn.disabled = !this.scanner.connected || this.monitoring ||
+      this.sweepController !== null || count === 0;
+  }
+
+  /**
+   * Add the channel changes made since a snapshot to the undo history as
+   * one step
+   * @param {Object[]} before - EditHistory.snapshot() taken before the change
+   */
+  recordHistory(label, before) {
+    if (this.history.record(label, EditHistory.diff(before, this.channels))) {
+      this.renderHistory();
+    }
+  }
+
+  /**
+   * Undo the last channel change
+   */
+  undo() {
+    const entry = this.history.undo();
+    if (!entry) return;
+    
+    this.applyHistoryChanges(entry.changes, 'before');
+    this.showStatus(`Undid: ${entry.label}`, 'success');
+  }
+
+  /**
+   * Redo the last undone channel change
+   */
+  redo() {
+    const entry = this.history.redo();
+    if (!entry) return;
+    
+    this.applyHistoryChanges(entry.changes, 'after');
+    this.showStatus(`Redid: ${entry.label}`, 'success');
+  }
+
+  /**
+   * Undo or redo until the given number of history entries are applied
+   */
+  jumpToHistory(position) {
+    while (this.history.position > position) {
+      this.channels = EditHistory.apply(this.channels, this.history.undo().changes, 'before');
+    }
+    while (this.history.position < position) {
+      this.channels = EditHistory.apply(this.channels, this.history.redo().changes, 'after');
+    }
+    
+    this.applyHistoryChanges([], 'after');
+  }
+
+  /**
+   * Put one side of some history changes into the channel list and redraw.
+   * A band plan notice no longer applies once the channels have moved, and
+   * an open edit dialog is reloaded if its channel was changed.
+   */
+  applyHistoryChanges(changes, side) {
+    this.channels = EditHistory.apply(this.channels, changes, side);
+    this.showBandPlanChange(null);
+    
+    const editing = this.currentEditingChannel;
+    if (editing) {
+      // History replaces changed channels, so a different object means a change
+      const current = this.channels.find(ch => ch.index === editing.index);
+      if (!current) {
+        this.closeModal();
+      } else if (current !== editing) {
+        this.editChannel(current.index);
+      }
+    }
+    
+    this.displayChannels();
+    this.renderHistory();
+    const hasChannels = this.channels.length > 0;
+    this.elements.exportCSVBtn.disabled = !hasChannels;
+    this.elements.exportChirpBtn.disabled = !hasChannels;
+    this.elements.programChannelsBtn.disabled = !hasChannels || !this.scanner.connected;
+  }
+
+  /**
+   * Show the undo history, marking entries that have been undone
+   */
+  renderHistory() {
+    const list = this.elements.historyList;
+    list.innerHTML = '';
+    
+    const items = [{ label: 'Start of history', time: null }, ...this.history.entries];
+    items.forEach((entry, position) => {
+      const item = document.createElement('li');
+      item.classList.toggle('current', position === this.history.position);
+      item.classList.toggle('undone', position > this.history.position);
+      item.textContent = entry.time ? `${entry.time.toLocaleTimeString()} ${entry.label}` : entry.label;
+      item.addEventListener('click', () => this.jumpToHistory(position));
+      list.appendChild(item);
+    });
+    
+    this.elements.undoBtn.disabled = !this.history.canUndo();
+    this.elements.redoBtn.disabled = !this.history.canRedo();
+    this.elements.undoBtn.title = this.history.canUndo()
+      ? `Undo ${this.history.entries[this.history.position - 1].label} (Ctrl+Z)` : 'Undo (Ctrl+Z)';
+    this.elements.redoBtn.title = this.history.canRedo()
+      ? `Redo ${this.history.entries[this.history.position].label} (Ctrl+Shift+Z)` : 'Redo (Ctrl+Shift+Z)';
+  }
+
+  /**
+   * Show or hide the history list
+   */
+  toggleHistoryPanel() {
+    const panel = this.elements.historyPanel;
+    panel.style.display = panel.style.display === 'none' ? 'block' : 'none';
+  }
+
+  /**
+   * Ctrl+Z undoes and Ctrl+Shift+Z or Ctrl+Y redoes, except while typing
+   * in a field, where the browser's own text undo applies
+   */
+  handleHistoryShortcut(event) {
+    if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+    if (['INPUT', 'SELECT', 'TEXTAREA'].includes(event.target.tagName)) return;
+    
+    const key = event.key.toLowerCase();
+    if (key === 'z' && !event.shiftKey) {
+      event.preventDefault();
+      this.undo();
+    } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+      event.preventDefault();
+      this.redo();
+    }
+  }
+
+  /**
+   * Read everything from the scanner and save it as a radio image file
+   */
+  async backupRadio() {
+    this.showProgress(true, 'Backing up radio...');
+    
+    try {
+      const image = await RadioImage.read(this.scanner, this.bankNames, (current, total) => {
+        const percent = Math.round((current / total) * 100);
+        this.updateProgress(percent, `Backing up ${current}/${total}`);
+      });
+      
+      const before = EditHistory.snapshot(this.channels);
+      this.applyRadioImage(image);
+      this.setPristineChannels(this.channels);
+      this.recordHistory('Back up whole radio', before);
+      const date = image.createdAt.slice(0, 10);
+      this.downloadFile(RadioImage.stringify(image), `bc125at_radio_${date}.json`, 'application/json');
+      this.showStatus('Radio backed up', 'success');
+    } catch (error) {
+      console.error('Radio backup failed:', error);
+      this.showStatus('Radio backup failed: ' + this.describeError(error), 'error');
+    } finally {
+      this.showProgress(false);
+    }
+  }
+
+  /**
+   * Restore a radio image file to the scanner
+   */
+  async restoreRadio(event) {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+    
+    let image;
+    try {
+      image = RadioImage.parse(await file.text());
+      
+      const model = await this.scanner.getModelInfo();
+      const { errors, warnings } = RadioImage.checkCompatibility(image, model);
+      if (errors.length > 0) {
+        this.showStatus(errors.join('; '), 'error');
+        return;
+      }
+      
+      const taken = image.createdAt ? ` taken ${image.createdAt.slice(0, 10)}` : '';
+      const notes = warnings.length > 0 ? `\n\nWarning: ${warnings.join('; ')}` : '';
+      if (!confirm(`Restore the whole radio from this ${image.radio.model} image${taken}? Every channel and setting on the scanner will be overwritten.${notes}`)) {
+        return;
+      }
+    } catch (error) {
+      console.error('Radio image rejected:', error);
+      this.showStatus(this.describeError(error), 'error');
+      return;
+    }
+    
+    this.showProgress(true, 'Restoring radio...');
+    
+    try {
+      const programmed = await RadioImage.write(this.scanner, image, (current, total) => {
+        const percent = Math.round((current / total) * 100);
+        this.updateProgress(percent, `Restoring ${current}/${total}`);
+      });
+      
+      const before = EditHistory.snapshot(this.channels);
+      this.applyRadioImage(image);
+      this.setPristineChannels(this.channels);
+      this.recordHistory('Restore whole radio', before);
+      this.showStatus(`Radio restored (${programmed}/${image.channels.length} channels)`, 'success');
+    } catch (error) {
+      console.error('Radio restore failed:', error);
+      this.showStatus('Radio restore failed: ' + this.describeError(error), 'error');
+    } finally {
+      this.showProgress(false);
+    }
+  }
+
+  /**
+   * Load a radio image into the workspace
+   */
+  applyRadioImage(image) {
+    this.channels = image.channels.map(channel => ({ ...channel }));
+    this.bankEnabled = [...image.banks.enabled];
+    this.bankNames = [...image.banks.names];
+    this.saveBankNames();
+    this.closeCallSettings = { ...image.closeCall, bands: [...image.closeCall.bands] };
+    this.bankEnablesSet = true;
+    this.closeCallSet = true;
+    this.searchSettings = {
+      ...image.search,
+      serviceGroups: [...image.search.serviceGroups],
+      customGroups: [...image.search.customGroups],
+      customRanges: image.search.customRanges.map(range => ({ ...range }))
+    };
+    this.systemSettings = { ...image.settings };
+    this.pristineSystemSettings = { ...image.settings };
+    
+    this.displayChannels();
+    this.renderCloseCallSettings();
+    this.renderSearchSettings();
+    this.setLockouts(image.lockouts);
+    this.renderSystemSettings();
+    this.elements.exportCSVBtn.disabled = false;
+    this.elements.exportChirpBtn.disabled = false;
+    this.elements.programChannelsBtn.disabled = !this.scanner.connected;
+  }
+
+  /**
+   * Read a downloaded frequency list and open the import wizard on it
+   */
+  async openImportWizard(event) {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+    
+    try {
+      this.importTable = { ...FrequencyList.parse(await file.text()), fileName: file.name };
+    } catch (error) {
+      console.error('Frequency list rejected:', error);
+      this.showStatus('Frequency list import failed: ' + error.message, 'error');
+      return;
+    }
+    
+    const { headers, rows, delimiter } = this.importTable;
+    this.elements.wizardSummary.textContent = `${file.name}: ${rows.length} rows, ` +
+      `${delimiter === '\t' ? 'tab' : 'comma'} separated. Choose which column fills each channel field.`;
+    
+    this.elements.mappingSelects.forEach(select => {
+      select.innerHTML = '';
+      ['', ...headers].forEach(header => {
+        const option = document.createElement('option');
+        option.value = header;
+        option.textContent = header || '(none)';
+        select.appendChild(option);
+      });
+    });
+    
+    const placement = this.elements.wizardPlacement;
+    placement.innerHTML = '<option value="">Free channels in any bank</option>';
+    for (let bank = 1; bank <= BC125AT.BANK_COUNT; bank++) {
+      const option = document.createElement('option');
+      const name = this.bankNames[bank - 1];
+      option.value = bank;
+      option.textContent = `Free channels in bank ${bank}${name ? ': ' + name : ''}`;
+      placement.appendChild(option);
+    }
+    
+    // Prefer a saved mapping made for files with these columns
+    const saved = Object.keys(this.importMappings)
+      .find(name => FrequencyList.fitsHeaders(this.importMappings[name], headers));
+    this.populateSavedMappings(saved || '');
+    this.setImportMapping(saved ? this.importMappings[saved] : FrequencyList.guessMapping(headers));
+    
+    this.elements.importWizard.style.display = 'block';
+  }
+
+  /**
+   * Column mapping chosen in the wizard
+   */
+  getImportMapping() {
+    const mapping = {};
+    this.elements.mappingSelects.forEach(select => {
+      mapping[select.dataset.field] = select.value;
+    });
+    return mapping;
+  }
+
+  /**
+   * Show a column mapping in the wizard and refresh the preview
+   */
+  setImportMapping(mapping) {
+    this.elements.mappingSelects.forEach(select => {
+      select.value = mapping[select.dataset.field] || '';
+    });
+    this.renderImportPreview();
+  }
+
+  /**
+   * Preview the first rows of the list as they would be imported
+   */
+  renderImportPreview() {
+    const tbody = this.elements.wizardTableBody;
+    tbody.innerHTML = '';
+    
+    let result;
+    try {
+      result = FrequencyList.convert(this.scanner, this.importTable, this.getImportMapping());
+    } catch (error) {
+      this.elements.wizardPreviewSummary.textContent = error.message;
+      this.elements.confirmImportListBtn.disabled = true;
+      return;
+    }
+    
+    const { entries, notes } = result;
+    const skipped = this.importTable.rows.length - entries.length;
+    this.elements.wizardPreviewSummary.textContent = `${entries.length} rows will be imported` +
+      (skipped > 0 ? `, ${skipped} skipped` : '') + '. The first 20 rows are shown below.';
+    this.elements.confirmImportListBtn.disabled = entries.length === 0;
+    
+    this.importTable.lines.slice(0, 20).forEach(rowNumber => {
+      const entry = entries.find(e => e.row === rowNumber);
+      const problems = notes.filter(n => n.row === rowNumber)
+        .map(n => n.message.replace(`Line ${rowNumber}: `, ''));
+      const cells = entry
+        ? [rowNumber, entry.channel.frequency.toFixed(4), entry.channel.name, entry.channel.modulation,
+          this.scanner.getCTCSSDCSText(entry.channel.ctcssDcs)]
+        : [rowNumber, '', '', '', ''];
+      
+      const row = document.createElement('tr');
+      [...cells, problems.join('; ')].forEach(text => {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        row.appendChild(cell);
+      });
+      tbody.appendChild(row);
+    });
+  }
+
+  /**
+   * Import the list with the chosen mapping into free channels
+   */
+  importFrequencyList() {
+    const { entries, notes } = FrequencyList.convert(this.scanner, this.importTable, this.getImportMapping());
+    const bank = parseInt(this.elements.wizardPlacement.value) || null;
+    const before = EditHistory.snapshot(this.channels);
+    if (this.channels.length === 0) {
+      this.channels = Array.from({ length: 500 }, (_, i) => this.scanner.createEmptyChannel(i + 1));
+    }
+    
+    const { channels, unplaced } = FrequencyList.assignSlots(this.scanner, this.channels, entries, bank);
+    notes.push(...this.applyImportedChannels(channels));
+    this.recordHistory(`Import ${this.importTable.fileName}`, before);
+    this.closeImportWizard();
+    
+    if (unplaced > 0) {
+      notes.push({ channel: '', field: 'Placement',
+        message: `${unplaced} rows did not fit in the free channels of ${bank ? 'bank ' + bank : 'the scanner'}` });
+    }
+    this.renderConversionReport('Frequency List Import Report', notes,
+      `Imported ${channels.length} of ${this.importTable.rows.length} rows from ${this.importTable.fileName}.`);
+    this.showStatus(`Imported ${channels.length} channels from ${this.importTable.fileName}`,
+      unplaced > 0 ? 'error' : 'success');
+  }
+
+  /**
+   * Close the import wizard without importing
+   */
+  closeImportWizard() {
+    this.elements.importWizard.style.display = 'none';
+  }
+
+  /**
+   * Load saved column mappings from this browser
+   */
+  loadImportMappings() {
+    try {
+      const saved = JSON.parse(localStorage.getItem('bc125at.importMappings'));
+      if (saved && typeof saved === 'object' && !Array.isArray(saved)) {
+        return saved;
+      }
+    } catch (error) {
+      console.error('Failed to load import mappings:', error);
+    }
+    
+    return {};
+  }
+
+  /**
+   * Save column mappings in this browser
+   */
+  saveImportMappings() {
+    localStorage.setItem('bc125at.importMappings', JSON.stringify(this.importMappings));
+  }
+
+  /**
+   * List saved mappings in the wizard
+   */
+  populateSavedMappings(selected) {
+    const select = this.elements.savedMappings;
+    select.innerHTML = '<option value="">(none)</option>';
+    Object.keys(this.importMappings).sort().forEach(name => {
+      const option = document.createElement('option');
+      option.value = name;
+      option.textContent = name;
+      select.appendChild(option);
+    });
+    select.value = selected;
+    this.elements.mappingName.value = selected;
+  }
+
+  /**
+   * Use the saved mapping chosen in the wizard
+   */
+  applySavedMapping() {
+    const name = this.elements.savedMappings.value;
+    this.elements.mappingName.value = name;
+    if (!name) return;
+    
+    const mapping = this.importMappings[name];
+    if (!FrequencyList.fitsHeaders(mapping, this.importTable.headers)) {
+      this.showStatus(`Mapping "${name}" uses columns this file does not have`, 'error');
+      return;
+    }
+    this.setImportMapping(mapping);
+  }
+
+  /**
+   * Save the wizard's mapping under the name given
+   */
+  saveImportMapping() {
+    const name = this.elements.mappingName.value.trim();
+    if (!name) {
+      this.showStatus('Enter a name for the mapping', 'error');
+      return;
+    }
+    
+    this.importMappings[name] = this.getImportMapping();
+    this.saveImportMappings();
+    this.populateSavedMappings(name);
+    this.showStatus(`Mapping "${name}" saved`, 'success');
+  }
+
+  /**
+   * Delete the saved mapping chosen in the wizard
+   */
+  deleteImportMapping() {
+    const name = this.elements.savedMappings.value;
+    if (!name) return;
+    
+    delete this.importMappings[name];
+    this.saveImportMappings();
+    this.populateSavedMappings('');
+    this.showStatus(`Mapping "${name}" deleted`, 'info');
+  }
+
+  /**
+   * Display channels in table
+   */
+  displayChannels() {
+    const tbody = this.elements.channelTableBody;
+    tbody.innerHTML = '';
+    
+    this.channels.forEach(channel => {
+      const row = this.createChannelRow(channel);
+      tbody.appendChild(row);
+    });
+    
+    this.renderBanks();
+    this.filterChannels();
+    this.updateDirtyCount();
+    this.updateValidationSummary();
+    this.showBandPlanChange(null);
+    this.renderSelection();
+    this.renderCapturedHits();
+    if (this.elements.analysisPanel.style.display === 'block') {
+      this.runAnalysis();
+    }
+  }
+
+  /**
+   * Create table row for channel
+   */
+  createChannelRow(channel) {
+    const row = document.createElement('tr');
+    row.dataset.channelIndex = channel.index;
+    
+    row.innerHTML = `
+      <td class="select-cell" title="Click to select; Shift-click for a range, Ctrl-click to add">${channel.index}</td>
+      <td class="editable-cell" data-field="name">${channel.name || ''}</td>
+      <td class="editable-cell" data-field="frequency">${channel.frequency > 0 ? channel.frequency.toFixed(6) : ''}</td>
+      <td class="editable-cell" data-field="modulation">${channel.modulation}</td>
+      <td class="editable-cell" data-field="ctcssDcs">${this.scanner.getCTCSSDCSText(channel.ctcssDcs)}</td>
+      <td class="editable-cell" data-field="delay">${channel.delay}s</td>
+      <td class="checkbox-cell" data-field="lockout"><span class="checkbox-indicator ${channel.lockout ? 'checked' : 'unchecked'}">${channel.lockout ? '✓' : '✗'}</span></td>
+      <td class="checkbox-cell" data-field="priority"><span class="checkbox-indicator ${channel.priority ? 'checked' : 'unchecked'}">${channel.priority ? '✓' : '✗'}</span></td>
+      <td><button class="delete-btn" onclick="app.deleteChannelRow(${channel.index})">Delete</button></td>
+    `;
+    this.updateRowState(row, channel);
+    row.classList.toggle('selected', this.selectedChannels.has(channel.index));
+    
+    // Add click handlers for inline editing
+    this.addInlineEditHandlers(row, channel);
+    row.cells[0].addEventListener('click', (e) => this.selectRow(channel.index, e));
+    this.addDragHandlers(row, channel.index);
+    
+    return row;
+  }
+
+  /**
+   * Filter channels based on search and show empty checkbox
+   */
+  filterChannels() {
+    const filter = this.elements.channelFilter.value.toLowerCase();
+    const showEmpty = this.elements.showEmpty.checked;
+    const bankRange = this.activeBank ? this.scanner.getBankChannelRange(this.activeBank) : null;
+    const rows = this.elements.channelTableBody.querySelectorAll('tr');
+    
+    rows.forEach(row => {
+      const isEmpty = row.classList.contains('empty');
+      const channelIndex = parseInt(row.dataset.channelIndex);
+      const name = row.cells[1].textContent.toLowerCase();
+      const frequency = row.cells[2].textContent;
+      
+      const matchesFilter = !filter || 
+        name.includes(filter) || 
+        frequency.includes(filter);
+      
+      const inBank = !bankRange ||
+        (channelIndex >= bankRange.first && channelIndex <= bankRange.last);
+      
+      const shouldShow = (showEmpty || !isEmpty) && matchesFilter && inBank;
+      
+      row.classList.toggle('hidden', !shouldShow);
+    });
+  }
+
+  /**
+   * Channel numbers of the rows the filter currently shows, in table order
+   */
+  getShownChannelIndexes() {
+    return [...this.elements.channelTableBody.querySelectorAll('tr:not(.hidden)')]
+      .map(row => parseInt(row.dataset.channelIndex));
+  }
+
+  /**
+   * Select rows from a click on the channel number: a plain click selects
+   * one row, Shift selects the shown rows from the last click, and Ctrl
+   * (Cmd on a Mac) adds or removes a row
+   */
+  selectRow(channelIndex, event) {
+    const additive = event.ctrlKey || event.metaKey;
+    
+    if (event.shiftKey && this.selectionAnchor !== null) {
+      const shown = this.getShownChannelIndexes();
+      const from = shown.indexOf(this.selectionAnchor);
+      const to = shown.indexOf(channelIndex);
+      if (!additive) this.selectedChannels.clear();
+      if (from !== -1 && to !== -1) {
+        shown.slice(Math.min(from, to), Math.max(from, to) + 1).forEach(index => this.selectedChannels.add(index));
+      }
+    } else if (additive) {
+      if (this.selectedChannels.has(channelIndex)) {
+        this.selectedChannels.delete(channelIndex);
+      } else {
+        this.selectedChannels.add(channelIndex);
+      }
+      this.selectionAnchor = channelIndex;
+    } else {
+      this.selectedChannels = new Set([channelIndex]);
+      this.selectionAnchor = channelIndex;
+    }
+    
+    this.renderSelection();
+  }
+
+  /**
+   * Select every row the filter shows
+   */
+  selectAllShown() {
+    this.selectedChannels = new Set(this.getShownChannelIndexes());
+    this.renderSelection();
+  }
+
+  /**
+   * Deselect all rows
+   */
+  clearSelection() {
+    this.selectedChannels.clear();
+    this.selectionAnchor = null;
+    this.renderSelection();
+  }
+
+  /**
+   * Mark selected rows and update the selection count and bulk buttons
+   */
+  renderSelection() {
+    this.elements.channelTableBody.querySelectorAll('tr').forEach(row => {
+      row.classList.toggle('selected', this.selectedChannels.has(parseInt(row.dataset.channelIndex)));
+    });
+    
+    const count = this.selectedChannels.size;
+    this.elements.selectionCount.textContent = count === 0 ? 'No channels selected' :
+      `${count} channel${count === 1 ? '' : 's'} selected`;
+    this.elements.clearSelectionBtn.disabled = count === 0;
+    this.elements.bulkEditBtn.disabled = count === 0;
+    this.elements.bulkClearBtn.disabled = count === 0;
+    if (count === 1) {
+      this.elements.layoutFrom.value = [...this.selectedChannels][0];
+    }
+  }
+
+  /**
+   * Selected channels in channel order
+   */
+  getSelectedChannels() {
+    return this.channels.filter(channel => this.selectedChannels.has(channel.index));
+  }
+
+  /**
+   * Open the bulk edit dialog for the selected channels
+   */
+  openBulkEdit() {
+    if (this.selectedChannels.size === 0) {
+      this.showStatus('Select channels first', 'info');
+      return;
+    }
+    
+    this.elements.bulkEditSelects.forEach(select => {
+      select.value = '';
+    });
+    const count = this.selectedChannels.size;
+    this.elements.bulkEditCount.textContent = `(${count} channel${count === 1 ? '' : 's'})`;
+    this.elements.bulkEditModal.style.display = 'block';
+  }
+
+  /**
+   * Set the chosen fields on every selected channel that is not empty
+   */
+  applyBulkEdit() {
+    const changes = {};
+    this.elements.bulkEditSelects.forEach(select => {
+      if (select.value === '') return;
+      const field = select.dataset.field;
+      if (field === 'modulation') {
+        changes[field] = select.value;
+      } else if (field === 'lockout' || field === 'priority') {
+        changes[field] = select.value === 'true';
+      } else {
+        changes[field] = parseInt(select.value);
+      }
+    });
+    
+    if (Object.keys(changes).length === 0) {
+      this.showStatus('Choose at least one field to change', 'info');
+      return;
+    }
+    
+    const before = EditHistory.snapshot(this.channels);
+    const targets = this.getSelectedChannels().filter(channel => !this.scanner.isEmptyChannel(channel));
+    targets.forEach(channel => {
+      const position = this.channels.indexOf(channel);
+      this.channels[position] = { ...channel, ...changes };
+    });
+    
+    this.closeBulkEdit();
+    this.displayChannels();
+    this.recordHistory(`Bulk edit ${targets.length} channels`, before);
+    
+    const skipped = this.selectedChannels.size - targets.length;
+    this.showStatus(`Updated ${targets.length} channels${skipped > 0 ? `; ${skipped} empty channels skipped` : ''}`, 'success');
+  }
+
+  /**
+   * Close the bulk edit dialog without changing anything
+   */
+  closeBulkEdit() {
+    this.elements.bulkEditModal.style.display = 'none';
+  }
+
+  /**
+   * Clear every selected channel
+   */
+  bulkClearChannels() {
+    const count = this.selectedChannels.size;
+    if (count === 0) return;
+    if (!confirm(`Clear ${count} selected channel${count === 1 ? '' : 's'}?`)) return;
+    
+    const before = EditHistory.snapshot(this.channels);
+    this.channels = this.channels.map(channel => this.selectedChannels.has(channel.index)
+      ? this.scanner.createEmptyChannel(channel.index)
+      : channel);
+    
+    this.selectedChannels.clear();
+    this.displayChannels();
+    this.recordHistory(`Clear ${count} channels`, before);
+    this.showStatus(`Cleared ${count} channels`, 'success');
+  }
+
+  /**
+   * Open the find and replace dialog, limited to the selection if there is one
+   */
+  openFindReplace() {
+    const hasSelection = this.selectedChannels.size > 0;
+    this.elements.replaceSelectedOnly.checked = hasSelection;
+    this.elements.replaceSelectedOnly.disabled = !hasSelection;
+    this.elements.replaceModal.style.display = 'block';
+    this.updateReplacePreview();
+    this.elements.replaceFind.focus();
+  }
+
+  /**
+   * Channels find and replace would rename, with their new names
+   * @returns {Object[]} { channel, name }
+   */
+  getReplacements() {
+    const find = this.elements.replaceFind.value;
+    if (!find) return [];
+    
+    const escaped = find.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const pattern = new RegExp(escaped, this.elements.replaceMatchCase.checked ? 'g' : 'gi');
+    const replacement = this.elements.replaceWith.value;
+    const channels = this.elements.replaceSelectedOnly.checked ? this.getSelectedChannels() : this.channels;
+    
+    return channels
+      .filter(channel => !this.scanner.isEmptyChannel(channel))
+      .map(channel => ({ channel, name: (channel.name || '').replace(pattern, () => replacement) }))
+      .filter(({ channel, name }) => name !== (channel.name || ''));
+  }
+
+  /**
+   * Say how many names the current find and replace would change
+   */
+  updateReplacePreview() {
+    const replacements = this.getReplacements();
+    const tooLong = replacements.filter(({ name }) => name.length > BC125AT.NAME_LENGTH).length;
+    
+    let text = this.elements.replaceFind.value
+      ? `${replacements.length} name${replacements.length === 1 ? '' : 's'} will change.`
+      : 'Enter the text to find.';
+    if (tooLong > 0) {
+      text += ` ${tooLong} will be longer than ${BC125AT.NAME_LENGTH} characters and need shortening.`;
+    }
+    this.elements.replacePreview.textContent = text;
+    this.elements.applyReplaceBtn.disabled = replacements.length === 0;
+  }
+
+  /**
+   * Rename every matching channel
+   */
+  applyFindReplace() {
+    const replacements = this.getReplacements();
+    if (replacements.length === 0) return;
+    
+    const before = EditHistory.snapshot(this.channels);
+    replacements.forEach(({ channel, name }) => {
+      const position = this.channels.indexOf(channel);
+      this.channels[position] = { ...channel, name };
+    });
+    
+    const find = this.elements.replaceFind.value;
+    this.closeFindReplace();
+    this.displayChannels();
+    this.recordHistory(`Replace "${find}" in ${replacements.length} names`, before);
+    this.showStatus(`Renamed ${replacements.length} channels`, 'success');
+  }
+
+  /**
+   * Close the find and replace dialog
+   */
+  closeFindReplace() {
+    this.elements.replaceModal.style.display = 'none';
+  }
+
+  /**
+   * Show the duplicates and conflicts panel and analyze the channels
+   */
+  openAnalysis() {
+    this.elements.analysisPanel.style.display = 'block';
+    this.runAnalysis();
+  }
+
+  /**
+   * Find duplicate and conflicting channels with the chosen tolerance
+   */
+  runAnalysis() {
+    const tolerance = parseFloat(this.elements.analysisTolerance.value);
+    this.analysisGroups = ChannelAnalysis.analyze(this.scanner, this.channels,
+      tolerance >= 0 ? tolerance : ChannelAnalysis.DEFAULT_TOLERANCE);
+    this.renderAnalysis();
+  }
+
+  /**
+   * List the analysis groups with their channels and actions
+   */
+  renderAnalysis() {
+    const tbody = this.elements.analysisTableBody;
+    tbody.innerHTML = '';
+    
+    const groups = this.analysisGroups;
+    if (groups.length === 0) {
+      this.elements.analysisSummary.textContent = 'No duplicates or conflicts found.';
+    } else {
+      const counts = Object.keys(ChannelAnalysis.GROUP_LABELS)
+        .map(type => [type, groups.filter(group => group.type === type).length])
+        .filter(([, count]) => count > 0)
+        .map(([type, count]) => `${ChannelAnalysis.GROUP_LABELS[type].toLowerCase()}: ${count}`);
+      this.elements.analysisSummary.textContent = `${groups.length} group${groups.length === 1 ? '' : 's'} found (${counts.join('; ')}).`;
+    }
+    
+    const channelsByIndex = new Map(this.channels.map(channel => [channel.index, channel]));
+    groups.forEach(group => {
+      const row = document.createElement('tr');
+      
+      const problem = document.createElement('td');
+      problem.textContent = group.bank ? `${group.label} (bank ${group.bank})` : group.label;
+      
+      const members = document.createElement('td');
+      const keep = document.createElement('select');
+      group.indexes.forEach(index => {
+        const channel = channelsByIndex.get(index);
+        const line = document.createElement('span');
+        line.className = 'group-channel';
+        line.textContent = `${index}: ${channel.name || '(no name)'} ${channel.frequency.toFixed(4)} ` +
+          `${this.scanner.getCTCSSDCSText(channel.ctcssDcs)}${channel.priority ? ' P' : ''}${channel.lockout ? ' L/O' : ''}`;
+        members.appendChild(line);
+        
+        const option = document.createElement('option');
+        option.value = index;
+        option.textContent = `CH ${index}`;
+        keep.appendChild(option);
+      });
+      
+      const keepCell = document.createElement('td');
+      keepCell.appendChild(keep);
+      
+      const actions = document.createElement('td');
+      const addButton = (text, className, handler) => {
+        const button = document.createElement('button');
+        button.className = `btn ${className}`;
+        button.textContent = text;
+        button.addEventListener('click', () => handler(parseInt(keep.value)));
+        actions.appendChild(button);
+      };
+      if (group.type === 'priority') {
+        addButton('Keep Priority', 'btn-warning', index => this.keepGroupPriority(group, index));
+      } else {
+        addButton('Keep One', 'btn-warning', index => this.keepOneOfGroup(group, index));
+      }
+      // Merging only makes sense for channels on the same frequency
+      if (group.type === 'frequency' || group.type === 'tone') {
+        addButton('Merge', 'btn-secondary', index => this.mergeGroup(group, index));
+      }
+      addButton('Show Rows', 'btn-secondary', () => this.showGroupRows(group));
+      
+      row.append(problem, members, keepCell, actions);
+      tbody.appendChild(row);
+    });
+  }
+
+  /**
+   * Keep one channel of a group and clear the rest
+   */
+  keepOneOfGroup(group, keepIndex) {
+    const others = group.indexes.filter(index => index !== keepIndex);
+    if (!confirm(`Keep channel ${keepIndex} and clear channel${others.length === 1 ? '' : 's'} ${others.join(', ')}?`)) return;
+    
+    const before = EditHistory.snapshot(this.channels);
+    this.channels = this.channels.map(channel => others.includes(channel.index)
+      ? this.scanner.createEmptyChannel(channel.index)
+      : channel);
+    
+    this.displayChannels();
+    this.recordHistory(`Keep channel ${keepIndex}, clear ${others.join(', ')}`, before);
+    this.showStatus(`Cleared ${others.length} duplicate${others.length === 1 ? '' : 's'} of channel ${keepIndex}`, 'success');
+  }
+
+  /**
+   * Merge a group into one channel and clear the rest
+   */
+  mergeGroup(group, keepIndex) {
+    const others = group.indexes.filter(index => index !== keepIndex);
+    if (!confirm(`Merge channel${others.length === 1 ? '' : 's'} ${others.join(', ')} into channel ${keepIndex} and clear ${others.length === 1 ? 'it' : 'them'}?`)) return;
+    
+    const before = EditHistory.snapshot(this.channels);
+    const keep = this.channels.find(channel => channel.index === keepIndex);
+    const merged = ChannelAnalysis.merge(keep, this.channels.filter(channel => others.includes(channel.index)));
+    this.channels = this.channels.map(channel => {
+      if (channel.index === keepIndex) return merged;
+      return others.includes(channel.index) ? this.scanner.createEmptyChannel(channel.index) : channel;
+    });
+    
+    this.displayChannels();
+    this.recordHistory(`Merge ${others.join(', ')} into channel ${keepIndex}`, before);
+    this.showStatus(`Merged ${others.length + 1} channels into channel ${keepIndex}`, 'success');
+  }
+
+  /**
+   * Leave priority on one channel of a bank and turn it off on the others
+   */
+  keepGroupPriority(group, keepIndex) {
+    const before = EditHistory.snapshot(this.channels);
+    this.channels = this.channels.map(channel =>
+      group.indexes.includes(channel.index) && channel.index !== keepIndex
+        ? { ...channel, priority: false }
+        : channel);
+    
+    this.displayChannels();
+    this.recordHistory(`Keep priority on channel ${keepIndex} only`, before);
+    this.showStatus(`Priority left on channel ${keepIndex} in bank ${group.bank}`, 'success');
+  }
+
+  /**
+   * Select a group's rows and scroll to them, clearing the filter and bank
+   * view so none of them are hidden
+   */
+  showGroupRows(group) {
+    this.elements.channelFilter.value = '';
+    this.showBank(null);
+    this.selectedChannels = new Set(group.indexes);
+    this.selectionAnchor = group.indexes[0];
+    this.renderSelection();
+    
+    const row = this.elements.channelTableBody.querySelector(`tr[data-channel-index="${group.indexes[0]}"]`);
+    if (row) {
+      row.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+  }
+
+  /**
+   * Let a row be dragged by its channel number and dropped on another row.
+   * Dropping on an empty channel moves it there, on a used one swaps the
+   * two, and holding Shift inserts it, shifting the rows below down.
+   */
+  addDragHandlers(row, channelIndex) {
+    const handle = row.cells[0];
+    handle.draggable = true;
+    handle.addEventListener('dragstart', (e) => {
+      e.dataTransfer.setData('text/plain', String(channelIndex));
+      e.dataTransfer.effectAllowed = 'move';
+    });
+    
+    row.addEventListener('dragover', (e) => {
+      e.preventDefault();
+      row.classList.add('drop-target');
+    });
+    row.addEventListener('dragleave', () => row.classList.remove('drop-target'));
+    row.addEventListener('drop', (e) => {
+      e.preventDefault();
+      row.classList.remove('drop-target');
+      const from = parseInt(e.dataTransfer.getData('text/plain'));
+      if (!from || from === channelIndex) return;
+      
+      const target = this.channels.find(ch => ch.index === channelIndex);
+      if (e.shiftKey) {
+        this.insertChannel(from, channelIndex);
+      } else if (target && this.scanner.isEmptyChannel(target)) {
+        this.moveChannel(from, channelIndex);
+      } else {
+        this.swapChannels(from, channelIndex);
+      }
+    });
+  }
+
+  /**
+   * Run a move, swap or insert with the channel numbers typed above the table
+   */
+  runLayoutCommand(action) {
+    const from = this.elements.layoutFrom.value === '' ? null : parseInt(this.elements.layoutFrom.value);
+    const to = parseInt(this.elements.layoutTo.value);
+    
+    if (!to || (from === null && action !== 'insert')) {
+      this.showStatus('Enter the channel to move and the slot to move it to', 'error');
+      return;
+    }
+    
+    if (action === 'move') {
+      this.moveChannel(from, to);
+    } else if (action === 'swap') {
+      this.swapChannels(from, to);
+    } else {
+      this.insertChannel(from, to);
+    }
+  }
+
+  /**
+   * Replace the channel list with a rearranged one as a single undo step
+   * @param {Function} rearrange - returns the new list; may throw to refuse
+   * @param {number[]} select - channels to select afterwards
+   * @returns {boolean} whether anything was done
+   */
+  rearrangeChannels(label, rearrange, select = []) {
+    if (this.channels.length === 0) {
+      this.showStatus('Read channels from the scanner or import a CSV first', 'error');
+      return false;
+    }
+    
+    const before = EditHistory.snapshot(this.channels);
+    try {
+      this.channels = rearrange();
+    } catch (error) {
+      this.showStatus(error.message, 'error');
+      return false;
+    }
+    
+    if (select.length > 0) {
+      this.selectedChannels = new Set(select);
+      this.selectionAnchor = select[0];
+    }
+    this.displayChannels();
+    this.recordHistory(label, before);
+    this.showStatus(label, 'success');
+    return true;
+  }
+
+  /**
+   * Move a channel into an empty slot
+   */
+  moveChannel(from, to) {
+    return this.rearrangeChannels(`Move channel ${from} to ${to}`,
+      () => ChannelLayout.move(this.scanner, this.channels, from, to), [to]);
+  }
+
+  /**
+   * Exchange two channels
+   */
+  swapChannels(a, b) {
+    return this.rearrangeChannels(`Swap channels ${a} and ${b}`,
+      () => ChannelLayout.swap(this.channels, a, b), [b]);
+  }
+
+  /**
+   * Insert a channel, or an empty slot when from is null, shifting the
+   * rest of the bank down
+   */
+  insertChannel(from, to) {
+    const label = from === null ? `Insert empty channel at ${to}` : `Insert channel ${from} at ${to}`;
+    return this.rearrangeChannels(label,
+      () => ChannelLayout.insert(this.scanner, this.channels, from, to), [to]);
+  }
+
+  /**
+   * Pack the shown bank's channels at the top of the bank
+   */
+  compactBank() {
+    if (this.activeBank === null) return;
+    const bank = this.activeBank;
+    this.rearrangeChannels(`Compact bank ${bank}`,
+      () => ChannelLayout.compactBank(this.scanner, this.channels, bank));
+  }
+
+  /**
+   * Sort the shown bank by frequency or name
+   */
+  sortBank(key) {
+    if (this.activeBank === null) return;
+    const bank = this.activeBank;
+    this.rearrangeChannels(`Sort bank ${bank} by ${key}`,
+      () => ChannelLayout.sortBank(this.scanner, this.channels, bank, key));
+  }
+
+  /**
+   * Render bank cards with fill level, name and scan enable state
+   */
+  renderBanks() {
+    const list = this.elements.bankList;
+    list.innerHTML = '';
+    
+    for (let bank = 1; bank <= BC125AT.BANK_COUNT; bank++) {
+      const { first, last } = this.scanner.getBankChannelRange(bank);
+      const used = this.channels.filter(ch =>
+        ch.index >= first && ch.index <= last && (ch.name || ch.frequency > 0)
+      ).length;
+      const percent = Math.round((used / BC125AT.CHANNELS_PER_BANK) * 100);
+      const enabled = this.bankEnabled[bank - 1];
+      
+      const card = document.createElement('div');
+      card.className = 'bank-card';
+      card.classList.toggle('active', this.activeBank === bank);
+      card.classList.toggle('disabled', !enabled);
+      card.innerHTML = `
+        <div class="bank-card-header">
+          <span>Bank ${bank} <small>(CH ${first}-${last})</small></span>
+          <label><input type="checkbox" ${enabled ? 'checked' : ''}> Scan</label>
+        </div>
+        <input type="text" placeholder="Bank name" maxlength="32">
+        <div class="bank-fill">
+          <div class="progress-bar"><div class="progress-fill" style="width: ${percent}%"></div></div>
+          <span>${used}/${BC125AT.CHANNELS_PER_BANK}</span>
+        </div>
+      `;
+      
+      const checkbox = card.querySelector('input[type="checkbox"]');
+      const nameInput = card.querySelector('input[type="text"]');
+      nameInput.value = this.bankNames[bank - 1];
+      
+      checkbox.addEventListener('click', (e) => e.stopPropagation());
+      checkbox.addEventListener('change', () => this.setBankEnabled(bank, checkbox.checked));
+      nameInput.addEventListener('click', (e) => e.stopPropagation());
+      nameInput.addEventListener('input', () => this.setBankName(bank, nameInput.value));
+      card.addEventListener('click', () => this.showBank(this.activeBank === bank ? null : bank));
+      
+      list.appendChild(card);
+    }
+    
+    const noBank = this.activeBank === null;
+    this.elements.compactBankBtn.disabled = noBank;
+    this.elements.sortBankFrequencyBtn.disabled = noBank;
+    this.elements.sortBankNameBtn.disabled = noBank;
+  }
+
+  /**
+   * Limit the channel table to one bank (null shows all banks)
+   */
+  showBank(bank) {
+    this.activeBank = bank;
+    this.renderBanks();
+    this.filterChannels();
+  }
+
+  /**
+   * Enable or disable a bank for scanning
+   */
+  setBankEnabled(bank, enabled) {
+    this.bankEnabled[bank - 1] = enabled;
+    this.bankEnablesSet = true;
+    this.renderBanks();
+  }
+
+  /**
+   * Name a bank in the local workspace
+   */
+  setBankName(bank, name) {
+    this.bankNames[bank - 1] = name;
+    this.saveBankNames();
+    this.populateCaptureBanks();
+  }
+
+  /**
+   * Load bank names saved in this browser
+   */
+  loadBankNames() {
+    try {
+      const saved = JSON.parse(localStorage.getItem('bc125at.bankNames'));
+      if (Array.isArray(saved) && saved.length === BC125AT.BANK_COUNT) {
+        return saved;
+      }
+    } catch (error) {
+      console.error('Failed to load bank names:', error);
+    }
+    
+    return new Array(BC125AT.BANK_COUNT).fill('');
+  }
+
+  /**
+   * Save bank names in this browser
+   */
+  saveBankNames() {
+    localStorage.setItem('bc125at.bankNames', JSON.stringify(this.bankNames));
+  }
+
+  /**
+   * Write the bank scan enables (SCG) to the scanner
+   */
+  async writeBankEnables() {
+    if (!this.bankEnabled.includes(true)) {
+      this.showStatus('At least one bank must be enabled for scanning', 'error');
+      return;
+    }
+
+    try {
+      await this.scanner.setScanChannelGroups(this.bankEnabled);
+      this.showStatus('Bank enables written to scanner', 'success');
+    } catch (error) {
+      console.error('Failed to write bank enables:', error);
+      this.showStatus('Failed to write bank enables: ' + this.describeError(error), 'error');
+    }
+  }
+
+  /**
+   * Switch the visible tab
+   */
+  switchTab(name) {
+    this.activeTab = name;
+    this.elements.tabButtons.forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.tab === name);
+    });
+    this.elements.tabPanels.forEach(panel => {
+      panel.classList.toggle('active', panel.dataset.tab === name);
+    });
+  }
+
+  /**
+   * Populate Close Call band checkboxes
+   */
+  populateCloseCallBands() {
+    BC125AT.CLOSE_CALL_BANDS.forEach((band, i) => {
+      const label = document.createElement('label');
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.dataset.band = i;
+      label.appendChild(checkbox);
+      label.appendChild(document.createTextNode(` ${band.label}`));
+      this.elements.ccBands.appendChild(label);
+    });
+  }
+
+  /**
+   * Show the current Close Call settings in the form
+   */
+  renderCloseCallSettings() {
+    const settings = this.closeCallSettings;
+    this.elements.ccMode.value = settings.mode;
+    this.elements.ccAlertBeep.checked = settings.alertBeep;
+    this.elements.ccAlertLight.checked = settings.alertLight;
+    this.elements.ccLockout.checked = settings.lockout;
+    this.elements.ccBands.querySelectorAll('input').forEach(checkbox => {
+      checkbox.checked = settings.bands[checkbox.dataset.band];
+    });
+  }
+
+  /**
+   * Copy the Close Call form into the working settings
+   */
+  updateCloseCallFromForm() {
+    this.closeCallSettings = {
+      mode: this.elements.ccMode.value,
+      alertBeep: this.elements.ccAlertBeep.checked,
+      alertLight: this.elements.ccAlertLight.checked,
+      bands: Array.from(this.elements.ccBands.querySelectorAll('input'), checkbox => checkbox.checked),
+      lockout: this.elements.ccLockout.checked
+    };
+    this.closeCallSet = true;
+  }
+
+  /**
+   * Read Close Call settings from scanner
+   */
+  async readCloseCallSettings() {
+    try {
+      this.closeCallSettings = await this.scanner.getCloseCallSettings();
+      this.closeCallSet = true;
+      this.renderCloseCallSettings();
+      this.showStatus('Close Call settings read from scanner', 'success');
+    } catch (error) {
+      console.error('Failed to read Close Call settings:', error);
+      this.showStatus('Failed to read Close Call settings: ' + this.describeError(error), 'error');
+    }
+  }
+
+  /**
+   * Write Close Call settings to scanner
+   */
+  async writeCloseCallSettings() {
+    try {
+      await this.scanner.setCloseCallSettings(this.closeCallSettings);
+      this.showStatus('Close Call settings written to scanner', 'success');
+    } catch (error) {
+      console.error('Failed to write Close Call settings:', error);
+      this.showStatus('Failed to write Close Call settings: ' + this.describeError(error), 'error');
+    }
+  }
+
+  /**
+   * Populate service search group checkboxes
+   */
+  populateServiceSearchGroups() {
+    BC125AT.SERVICE_SEARCH_GROUPS.forEach((group, i) => {
+      const label = document.createElement('label');
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.dataset.group = i;
+      label.appendChild(checkbox);
+      label.appendChild(document.createTextNode(` ${group}`));
+      this.elements.serviceSearchGroups.appendChild(label);
+    });
+  }
+
+  /**
+   * Show the current search settings in the form and range grid
+   */
+  renderSearchSettings() {
+    const settings = this.searchSettings;
+    this.elements.serviceSearchGroups.querySelectorAll('input').forEach(checkbox => {
+      checkbox.checked = settings.serviceGroups[checkbox.dataset.group];
+    });
+    this.elements.searchDelay.value = settings.delay;
+    this.elements.searchCodeSearch.checked = settings.codeSearch;
+    
+    const tbody = this.elements.searchRangeTableBody;
+    tbody.innerHTML = '';
+    settings.customRanges.forEach((range, i) => {
+      tbody.appendChild(this.createSearchRangeRow(range, i));
+    });
+  }
+
+  /**
+   * Create table row for a custom search range
+   */
+  createSearchRangeRow(range, i) {
+    const row = document.createElement('tr');
+    row.innerHTML = `
+      <td>${range.index}</td>
+      <td class="checkbox-cell"><input type="checkbox" data-field="enabled"></td>
+      <td><input type="number" data-field="lower" step="0.0001" min="25" max="512"></td>
+      <td><input type="number" data-field="upper" step="0.0001" min="25" max="512"></td>
+      <td class="range-status"></td>
+    `;
+    
+    const enabledInput = row.querySelector('[data-field="enabled"]');
+    const lowerInput = row.querySelector('[data-field="lower"]');
+    const upperInput = row.querySelector('[data-field="upper"]');
+    enabledInput.checked = this.searchSettings.customGroups[i];
+    lowerInput.value = range.lower || '';
+    upperInput.value = range.upper || '';
+    
+    enabledInput.addEventListener('change', () => {
+      this.searchSettings.customGroups[i] = enabledInput.checked;
+    });
+    [lowerInput, upperInput].forEach(input => {
+      input.addEventListener('change', () => {
+        this.searchSettings.customRanges[i] = {
+          ...this.searchSettings.customRanges[i],
+          [input.dataset.field]: parseFloat(input.value) || 0
+        };
+        this.updateSearchRangeStatus(row, this.searchSettings.customRanges[i]);
+      });
+    });
+    
+    this.updateSearchRangeStatus(row, range);
+    return row;
+  }
+
+  /**
+   * Show validation result for a custom search range row
+   */
+  updateSearchRangeStatus(row, range) {
+    const errors = this.scanner.validateSearchRange(range);
+    row.classList.toggle('invalid', errors.length > 0);
+    row.querySelector('.range-status').textContent = errors.length > 0 ? errors.join('; ') : 'OK';
+  }
+
+  /**
+   * Copy the search options form into the working settings
+   */
+  updateSearchFromForm() {
+    this.searchSettings.serviceGroups = Array.from(
+      this.elements.serviceSearchGroups.querySelectorAll('input'),
+      checkbox => checkbox.checked
+    );
+    this.searchSettings.delay = parseInt(this.elements.searchDelay.value);
+    this.searchSettings.codeSearch = this.elements.searchCodeSearch.checked;
+  }
+
+  /**
+   * Read search settings from scanner
+   */
+  async readSearchSettings() {
+    this.showProgress(true, 'Reading search settings...');
+    
+    try {
+      this.searchSettings = await this.scanner.getSearchSettings();
+      this.renderSearchSettings();
+      this.showStatus('Search settings read from scanner', 'success');
+    } catch (error) {
+      console.error('Failed to read search settings:', error);
+      this.showStatus('Failed to read search settings: ' + this.describeError(error), 'error');
+    } finally {
+      this.showProgress(false);
+    }
+  }
+
+  /**
+   * Write search settings to scanner
+   */
+  async writeSearchSettings() {
+    const invalid = this.searchSettings.customRanges.filter(range =>
+      this.scanner.validateSearchRange(range).length > 0
+    );
+    if (invalid.length > 0) {
+      this.showStatus(`Fix custom search range ${invalid.map(r => r.index).join(', ')} before writing`, 'error');
+      return;
+    }
+    
+    this.showProgress(true, 'Writing search settings...');
+    
+    try {
+      await this.scanner.setSearchSettings(this.searchSettings);
+      this.showStatus('Search settings written to scanner', 'success');
+    } catch (error) {
+      console.error('Failed to write search settings:', error);
+      this.showStatus('Failed to write search settings: ' + this.describeError(error), 'error');
+    } finally {
+      this.showProgress(false);
+    }
+  }
+
+  /**
+   * Show the working global lockout list
+   */
+  renderLockouts() {
+    const tbody = this.elements.lockoutTableBody;
+    tbody.innerHTML = '';
+    
+    this.lockouts.forEach((frequency, i) => {
+      const row = document.createElement('tr');
+      row.innerHTML = `
+        <td>${i + 1}</td>
+        <td>${frequency.toFixed(4)}</td>
+        <td><button class="delete-btn">Remove</button></td>
+      `;
+      row.querySelector('.delete-btn').addEventListener('click', () => this.removeLockout(frequency));
+      tbody.appendChild(row);
+    });
+    
+    this.elements.lockoutCount.textContent = `${this.lockouts.length} locked out`;
+  }
+
+  /**
+   * Add the frequency in the entry box to the working lockout list
+   */
+  addLockout() {
+    const frequency = parseFloat(this.elements.lockoutFrequency.value);
+    if (!this.scanner.isFrequencySupported(frequency)) {
+      this.showStatus('Enter a frequency inside the scanner\'s bands', 'error');
+      return;
+    }
+    
+    if (!this.setLockouts([...this.lockouts, frequency])) {
+      this.showStatus(`${frequency.toFixed(4)} MHz is already locked out`, 'info');
+      return;
+    }
+    
+    this.elements.lockoutFrequency.value = '';
+    this.showStatus(`${frequency.toFixed(4)} MHz added to lockouts`, 'success');
+  }
+
+  /**
+   * Remove a frequency from the working lockout list
+   */
+  removeLockout(frequency) {
+    this.setLockouts(this.lockouts.filter(f => f !== frequency));
+    this.showStatus(`${frequency.toFixed(4)} MHz removed from lockouts`, 'success');
+  }
+
+  /**
+   * Replace the working lockout list, dropping duplicates and sorting it
+   * @returns {boolean} whether the list changed
+   */
+  setLockouts(frequencies) {
+    const unique = new Map();
+    frequencies.forEach(f => unique.set(this.scanner.formatFrequency(f), f));
+    
+    const lockouts = [...unique.values()].sort((a, b) => a - b);
+    const changed = lockouts.length !== this.lockouts.length ||
+      lockouts.some((f, i) => f !== this.lockouts[i]);
+    
+    this.lockouts = lockouts;
+    this.renderLockouts();
+    return changed;
+  }
+
+  /**
+   * Read global lockout list from scanner
+   */
+  async readLockouts() {
+    this.showProgress(true, 'Reading lockouts...');
+    
+    try {
+      this.setLockouts(await this.scanner.getGlobalLockouts());
+      this.showStatus(`Read ${this.lockouts.length} lockouts from scanner`, 'success');
+    } catch (error) {
+      console.error('Failed to read lockouts:', error);
+      this.showStatus('Failed to read lockouts: ' + this.describeError(error), 'error');
+    } finally {
+      this.showProgress(false);
+    }
+  }
+
+  /**
+   * Make the scanner's global lockout list match the working list
+   */
+  async writeLockouts() {
+    this.showProgress(true, 'Writing lockouts...');
+    
+    try {
+      const { added, removed } = await this.scanner.setGlobalLockouts(this.lockouts);
+      this.showStatus(`Lockouts written: ${added.length} added, ${removed.length} removed`, 'success');
+    } catch (error) {
+      console.error('Failed to write lockouts:', error);
+      this.showStatus('Failed to write lockouts: ' + this.describeError(error), 'error');
+    } finally {
+      this.showProgress(false);
+    }
+  }
+
+  /**
+   * Export the working lockout list as a one-column CSV file
+   */
+  exportLockouts() {
+    const rows = [['Frequency_MHz'], ...this.lockouts.map(f => [f.toFixed(4)])];
+    this.downloadFile(CSV.stringify(rows), 'bc125at_lockouts.csv', 'text/csv');
+    
+    this.showStatus('Lockouts exported', 'success');
+  }
+
+  /**
+   * Import a lockout list, replacing the working list
+   */
+  async importLockouts(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+    
+    try {
+      const text = await file.text();
+      const frequencies = [];
+      let skipped = 0;
+      
+      CSV.parse(text).forEach(row => {
+        const cell = row[0].trim();
+        if (!cell || isNaN(cell)) return;
+        
+        const frequency = parseFloat(cell);
+        if (this.scanner.isFrequencySupported(frequency)) {
+          frequencies.push(frequency);
+        } else {
+          skipped++;
+        }
+      });
+      
+      this.setLockouts(frequencies);
+      const note = skipped > 0 ? ` (${skipped} outside the scanner's bands skipped)` : '';
+      this.showStatus(`Imported ${this.lockouts.length} lockouts${note}`, 'success');
+    } catch (error) {
+      console.error('Lockout import failed:', error);
+      this.showStatus('Lockout import failed: ' + error.message, 'error');
+    }
+    
+    event.target.value = '';
+  }
+
+  /**
+   * Populate backlight mode options
+   */
+  populateBacklightOptions() {
+    Object.entries(BC125AT.BACKLIGHT_MODES).forEach(([mode, label]) => {
+      const option = document.createElement('option');
+      option.value = mode;
+      option.textContent = label;
+      this.elements.sysBacklight.appendChild(option);
+    });
+  }
+
+  /**
+   * Show the working system settings in the form, marking unsaved changes
+   */
+  renderSystemSettings() {
+    const changed = this.getChangedSystemSettings();
+    
+    this.elements.settingInputs.forEach(input => {
+      const key = input.dataset.setting;
+      const value = this.systemSettings ? this.systemSettings[key] : '';
+      
+      if (input.type === 'checkbox') {
+        input.checked = !!value;
+      } else {
+        input.value = value;
+      }
+      
+      const marker = input.type === 'checkbox' ? input.parentElement : input.closest('.form-group');
+      marker.classList.toggle('changed', key in changed);
+    });
+    
+    this.elements.writeSettingsBtn.disabled = !this.scanner.connected || this.monitoring || Object.keys(changed).length === 0;
+  }
+
+  /**
+   * Copy the settings form into the working system settings
+   */
+  updateSystemSettingsFromForm() {
+    if (!this.systemSettings) return;
+    
+    this.elements.settingInputs.forEach(input => {
+      const key = input.dataset.setting;
+      if (input.type === 'checkbox') {
+        this.systemSettings[key] = input.checked;
+      } else if (input.type === 'number') {
+        this.systemSettings[key] = parseInt(input.value);
+      } else {
+        this.systemSettings[key] = input.value;
+      }
+    });
+    
+    this.renderSystemSettings();
+  }
+
+  /**
+   * Settings that differ from what was last read from or written to the scanner
+   */
+  getChangedSystemSettings() {
+    const changes = {};
+    if (!this.systemSettings || !this.pristineSystemSettings) return changes;
+    
+    Object.entries(this.systemSettings).forEach(([key, value]) => {
+      if (value !== this.pristineSystemSettings[key]) {
+        changes[key] = value;
+      }
+    });
+    
+    return changes;
+  }
+
+  /**
+   * Read system settings from scanner
+   */
+  async readSystemSettings() {
+    try {
+      const settings = await this.scanner.getSystemSettings();
+      this.systemSettings = { ...settings };
+      this.pristineSystemSettings = { ...settings };
+      this.renderSystemSettings();
+      this.showStatus('Scanner settings read', 'success');
+    } catch (error) {
+      console.error('Failed to read scanner settings:', error);
+      this.showStatus('Failed to read scanner settings: ' + this.describeError(error), 'error');
+    }
+  }
+
+  /**
+   * Write changed system settings to scanner
+   */
+  async writeSystemSettings() {
+    const changes = this.getChangedSystemSettings();
+    if (Object.keys(changes).length === 0) {
+      this.showStatus('No setting changes to write', 'info');
+      return;
+    }
+    
+    try {
+      await this.scanner.setSystemSettings(changes, this.systemSettings);
+      this.pristineSystemSettings = { ...this.systemSettings };
+      this.renderSystemSettings();
+      this.showStatus(`Wrote ${Object.keys(changes).length} changed settings to scanner`, 'success');
+    } catch (error) {
+      console.error('Failed to write scanner settings:', error);
+      this.showStatus('Failed to write scanner settings: ' + this.describeError(error), 'error');
+    }
+  }
+
+  /**
+   * Leave program mode and start polling what the scanner is receiving
+   */
+  async startMonitor() {
+    if (!await this.scanner.exitProgramMode()) {
+      this.showStatus('Could not leave program mode to start monitoring', 'error');
+      return;
+    }
+    
+    this.monitoring = true;
+    this.updateConnectionUI(true);
+    this.showStatus('Monitoring reception', 'info');
+    this.pollMonitor();
+  }
+
+  /**
+   * Stop polling and return the scanner to program mode
+   */
+  async stopMonitor() {
+    this.haltMonitor();
+    
+    if (this.scanner.connected && !await this.scanner.enterProgramMode()) {
+      this.showStatus('Monitor stopped, but the scanner did not return to program mode', 'error');
+    } else {
+      this.showStatus('Monitor stopped', 'info');
+    }
+    this.updateConnectionUI(this.scanner.connected);
+  }
+
+  /**
+   * Stop polling without talking to the scanner
+   */
+  haltMonitor() {
+    this.haltSignalMeter();
+    this.monitoring = false;
+    clearTimeout(this.monitorTimer);
+    this.monitorTimer = null;
+    this.endHit();
+    this.renderReception(null, null);
+  }
+
+  /**
+   * Poll reception and display status once, then schedule the next poll
+   */
+  async pollMonitor() {
+    if (!this.monitoring) return;
+    
+    try {
+      const reception = await this.scanner.getReceptionStatus();
+      const display = await this.scanner.getDisplayStatus();
+      if (!this.monitoring) return;
+      
+      this.recordReception(reception);
+      this.renderReception(reception, display);
+    } catch (error) {
+      if (!this.monitoring) return;
+      console.error('Monitor poll failed:', error);
+      await this.stopMonitor();
+      this.showStatus('Monitor stopped: ' + this.describeError(error), 'error');
+      return;
+    }
+    
+    this.monitorTimer = setTimeout(() => this.pollMonitor(), parseInt(this.elements.monitorInterval.value));
+  }
+
+  /**
+   * Start or finish activity log entries as the squelch opens and closes
+   */
+  recordReception(reception) {
+    const now = new Date();
+    const open = reception.receiving && reception.squelch;
+    
+    if (this.currentHit && (!open || this.currentHit.frequency !== reception.frequency)) {
+      this.endHit(now);
+    }
+    
+    const started = open && !this.currentHit;
+    if (started) {
+      this.currentHit = {
+        start: now,
+        end: null,
+        channel: reception.channel,
+        name: reception.name,
+        frequency: reception.frequency,
+        modulation: reception.modulation,
+        ctcssDcs: reception.ctcssDcs
+      };
+      this.activityLog.unshift(this.currentHit);
+      this.renderActivityLog();
+    }
+    
+    // Search and Close Call hits carry no channel number
+    if (open && reception.channel === null) {
+      this.captureHit(reception, started);
+    }
+  }
+
+  /**
+   * Add a search or Close Call hit to the captured list, one entry per frequency
+   * @param {boolean} started - the squelch has just opened, so count a new hit
+   */
+  captureHit(reception, started) {
+    const key = reception.frequency.toFixed(4);
+    let captured = this.capturedHits.get(key);
+    if (!captured) {
+      captured = {
+        frequency: reception.frequency,
+        modulation: reception.modulation,
+        ctcssDcs: 0,
+        hits: 0,
+        lastHeard: null,
+        selected: true
+      };
+      this.capturedHits.set(key, captured);
+    }
+    
+    if (started) {
+      captured.hits++;
+    }
+    // Tone search can take a moment to decode, so keep the last real tone seen
+    if (this.scanner.getCTCSSFrequency(reception.ctcssDcs) || this.scanner.getDCSCode(reception.ctcssDcs)) {
+      captured.ctcssDcs = reception.ctcssDcs;
+    }
+    captured.lastHeard = new Date();
+    
+    this.renderCapturedHits();
+  }
+
+  /**
+   * Populate the bank choices for committing captured hits
+   */
+  populateCaptureBanks() {
+    const select = this.elements.captureBank;
+    const selected = select.value;
+    select.innerHTML = '';
+    
+    for (let bank = 1; bank <= BC125AT.BANK_COUNT; bank++) {
+      const option = document.createElement('option');
+      const name = this.bankNames[bank - 1];
+      option.value = bank;
+      option.textContent = name ? `${bank}: ${name}` : `${bank}`;
+      select.appendChild(option);
+    }
+    
+    select.value = selected || '1';
+  }
+
+  /**
+   * Render captured hits, lowest frequency first
+   */
+  renderCapturedHits() {
+    const tbody = this.elements.captureTableBody;
+    const hits = [...this.capturedHits.values()].sort((a, b) => a.frequency - b.frequency);
+    tbody.innerHTML = '';
+    
+    hits.forEach(hit => {
+      const existing = this.findChannelByFrequency(hit.frequency);
+      const row = document.createElement('tr');
+      row.innerHTML = `
+        <td><input type="checkbox"></td>
+        <td>${hit.frequency.toFixed(4)}</td>
+        <td>${hit.modulation || ''}</td>
+        <td>${this.scanner.getCTCSSDCSText(hit.ctcssDcs)}</td>
+        <td>${hit.hits}</td>
+        <td>${hit.lastHeard.toLocaleTimeString()}</td>
+        <td></td>
+      `;
+      row.lastElementChild.textContent = existing ? `CH${existing.index}${existing.name ? ' ' + existing.name : ''}` : '';
+      
+      const checkbox = row.querySelector('input');
+      checkbox.checked = hit.selected && !existing;
+      checkbox.disabled = !!existing;
+      checkbox.addEventListener('change', () => {
+        hit.selected = checkbox.checked;
+      });
+      tbody.appendChild(row);
+    });
+    
+    const count = hits.length;
+    this.elements.captureSummary.textContent = count === 0
+      ? 'Search and Close Call hits are listed here while the monitor runs'
+      : `${count} frequenc${count === 1 ? 'y' : 'ies'} captured. Frequencies already in a channel are skipped`;
+    this.elements.commitCapturedHitsBtn.disabled = count === 0;
+  }
+
+  /**
+   * Put the ticked captured hits into free channels of the chosen bank
+   */
+  commitCapturedHits() {
+    if (this.channels.length === 0) {
+      this.showStatus('Read channels from the scanner or import a CSV first', 'error');
+      return;
+    }
+    
+    const selected = [...this.capturedHits.values()]
+      .sort((a, b) => a.frequency - b.frequency)
+      .filter(hit => hit.selected && !this.findChannelByFrequency(hit.frequency));
+    if (selected.length === 0) {
+      this.showStatus('No new hits selected', 'info');
+      return;
+    }
+    
+    const bank = parseInt(this.elements.captureBank.value);
+    const { first, last } = this.scanner.getBankChannelRange(bank);
+    const free = this.channels.filter(channel =>
+      channel.index >= first && channel.index <= last && this.scanner.isEmptyChannel(channel));
+    
+    const before = EditHistory.snapshot(this.channels);
+    const added = selected.slice(0, free.length).map((hit, i) => {
+      const position = this.channels.indexOf(free[i]);
+      this.channels[position] = {
+        ...free[i],
+        name: this.generateHitName(hit),
+        frequency: hit.frequency,
+        modulation: hit.modulation || 'AUTO',
+        ctcssDcs: hit.ctcssDcs,
+        delay: 2,
+        lockout: false,
+        priority: false
+      };
+      return free[i].index;
+    });
+    
+    this.displayChannels();
+    this.recordHistory(`Add ${added.length} captured hits to bank ${bank}`, before);
+    
+    if (added.length < selected.length) {
+      this.showStatus(`Added ${added.length} of ${selected.length} hits; bank ${bank} has no more free channels`, 'error');
+    } else {
+      this.showStatus(`Added ${added.length} hits to bank ${bank}. Use Program Changes to send them`, 'success');
+    }
+  }
+
+  /**
+   * Channel name for a captured hit: its frequency plus any tone
+   */
+  generateHitName(hit) {
+    const ctcss = this.scanner.getCTCSSFrequency(hit.ctcssDcs);
+    const dcs = this.scanner.getDCSCode(hit.ctcssDcs);
+    const tone = ctcss ? ` C${ctcss.toFixed(1)}` : dcs ? ` D${dcs}` : '';
+    return `${hit.frequency.toFixed(4)}${tone}`;
+  }
+
+  /**
+   * Forget all captured hits
+   */
+  clearCapturedHits() {
+    this.capturedHits.clear();
+    this.renderCapturedHits();
+  }
+
+  /**
+   * Programmed channel holding a frequency, if any
+   */
+  findChannelByFrequency(frequency) {
+    const target = this.scanner.formatFrequency(frequency);
+    return this.channels.find(channel =>
+      !this.scanner.isEmptyChannel(channel) && this.scanner.formatFrequency(channel.frequency) === target);
+  }
+
+  /**
+   * Close the hit in progress, if any
+   */
+  endHit(now = new Date()) {
+    if (!this.currentHit) return;
+    
+    this.currentHit.end = now;
+    this.currentHit = null;
+    this.renderActivityLog();
+  }
+
+  /**
+   * Show the latest reception and display status; null clears the panel
+   */
+  renderReception(reception, display) {
+    const fields = reception && reception.receiving ? {
+      monitorChannel: reception.channel,
+      monitorName: reception.name,
+      monitorFrequency: `${reception.frequency.toFixed(4)} MHz`,
+      monitorModulation: reception.modulation,
+      monitorTone: this.scanner.getCTCSSDCSText(reception.ctcssDcs)
+    } : {};
+    
+    ['monitorChannel', 'monitorName', 'monitorFrequency', 'monitorModulation', 'monitorTone'].forEach(key => {
+      this.elements[key].textContent = fields[key] || '-';
+    });
+    
+    const squelch = this.elements.monitorSquelch;
+    squelch.textContent = reception ? (reception.squelch ? 'Open' : 'Closed') : '-';
+    squelch.classList.toggle('open', !!(reception && reception.squelch));
+    
+    this.renderDisplay(display);
+  }
+
+  /**
+   * Mirror the scanner's display text; null clears it
+   */
+  renderDisplay(display) {
+    this.elements.monitorDisplay.textContent = display
+      ? display.lines.map(line => line.trimEnd()).join('\n')
+      : '';
+  }
+
+  /**
+   * Press a key on the scanner and refresh the display straight away
+   * @param {string} key - a code from BC125AT.KEYS
+   * @param {string} mode - 'P' for a press, 'L' for a long press
+   */
+  async pressKey(key, mode = 'P') {
+    if (!this.monitoring) return;
+    
+    const button = [...this.elements.keypadKeys].find(k => k.dataset.key === key);
+    if (button) {
+      button.classList.add('pressed');
+      setTimeout(() => button.classList.remove('pressed'), 150);
+    }
+    
+    try {
+      await this.scanner.pressKey(key, mode);
+      this.renderDisplay(await this.scanner.getDisplayStatus());
+    } catch (error) {
+      console.error(`Failed to press ${BC125AT.KEYS[key]}:`, error);
+      this.showStatus(`Failed to press ${BC125AT.KEYS[key]}: ` + this.describeError(error), 'error');
+    }
+  }
+
+  /**
+   * Keyboard shortcuts for the keypad, active on the Monitor tab while monitoring
+   */
+  handleKeypadShortcut(event) {
+    if (!this.monitoring || this.activeTab !== 'monitor') return;
+    if (event.ctrlKey || event.metaKey || event.altKey) return;
+    if (['INPUT', 'SELECT', 'TEXTAREA'].includes(event.target.tagName)) return;
+    
+    const shortcuts = {
+      KeyP: 'P', KeyF: 'F', KeyH: 'H', KeyS: 'S', KeyL: 'L', KeyM: 'M',
+      Period: '.', NumpadDecimal: '.', Backspace: '.', Enter: 'E', NumpadEnter: 'E',
+      ArrowLeft: '<', ArrowRight: '>', ArrowUp: '^'
+    };
+    const digit = event.code.match(/^(?:Digit|Numpad)(\d)$/);
+    const key = digit ? digit[1] : shortcuts[event.code];
+    if (!key) return;
+    
+    event.preventDefault();
+    this.pressKey(key, event.shiftKey ? 'L' : 'P');
+  }
+
+  /**
+   * Start sampling signal strength; needs the monitor running
+   */
+  startSignalMeter() {
+    if (!this.monitoring) return;
+    
+    this.signalMetering = true;
+    this.updateConnectionUI(true);
+    this.pollSignal();
+  }
+
+  /**
+   * Stop sampling signal strength
+   */
+  stopSignalMeter() {
+    this.haltSignalMeter();
+    this.updateConnectionUI(this.scanner.connected);
+  }
+
+  /**
+   * Stop the sampling loop; recorded samples are kept
+   */
+  haltSignalMeter() {
+    this.signalMetering = false;
+    clearTimeout(this.signalTimer);
+    this.signalTimer = null;
+  }
+
+  /**
+   * Take one signal sample, then schedule the next
+   */
+  async pollSignal() {
+    if (!this.signalMetering) return;
+    
+    try {
+      const reading = await this.scanner.getSignalStrength();
+      if (!this.signalMetering) return;
+      
+      this.recordSignal({ time: Date.now(), ...reading });
+    } catch (error) {
+      if (!this.signalMetering) return;
+      console.error('Signal poll failed:', error);
+      this.stopSignalMeter();
+      this.showStatus('Signal meter stopped: ' + this.describeError(error), 'error');
+      return;
+    }
+    
+    this.signalTimer = setTimeout(() => this.pollSignal(), parseInt(this.elements.signalRate.value));
+  }
+
+  /**
+   * Store a sample, update its frequency's min/avg/max and redraw.
+   * Only the latest signalSampleLimit samples are kept.
+   */
+  recordSignal(sample) {
+    this.signalSamples.push(sample);
+    if (this.signalSamples.length > this.signalSampleLimit) {
+      this.signalSamples.splice(0, this.signalSamples.length - this.signalSampleLimit);
+    }
+    
+    if (sample.frequency > 0) {
+      const key = sample.frequency.toFixed(4);
+      const stats = this.signalStats.get(key) ||
+        { frequency: sample.frequency, count: 0, min: Infinity, max: -Infinity, total: 0 };
+      stats.count++;
+      stats.min = Math.min(stats.min, sample.rssi);
+      stats.max = Math.max(stats.max, sample.rssi);
+      stats.total += sample.rssi;
+      this.signalStats.set(key, stats);
+    }
+    
+    this.renderSignal(sample);
+  }
+
+  /**
+   * Update the meter, chart and statistics; sample is the latest reading or null
+   */
+  renderSignal(sample) {
+    const percent = sample ? Math.round((sample.rssi / BC125AT.MAX_RSSI) * 100) : 0;
+    this.elements.signalBarFill.style.width = `${percent}%`;
+    this.elements.signalReading.textContent = sample
+      ? `${sample.rssi} @ ${sample.frequency > 0 ? sample.frequency.toFixed(4) + ' MHz' : '-'}`
+      : '-';
+    
+    this.drawSignalChart();
+    this.renderSignalStats();
+  }
+
+  /**
+   * Draw the last minute of samples as a rolling line chart
+   */
+  drawSignalChart() {
+    const canvas = this.elements.signalChart;
+    const ctx = canvas.getContext('2d');
+    const { width, height } = canvas;
+    const end = Date.now();
+    const start = end - this.signalWindow;
+    const y = (rssi) => height - (rssi / BC125AT.MAX_RSSI) * height;
+    
+    ctx.clearRect(0, 0, width, height);
+    
+    // Grid lines at quarters of full scale
+    ctx.strokeStyle = '#ecf0f1';
+    ctx.lineWidth = 1;
+    for (let i = 1; i < 4; i++) {
+      ctx.beginPath();
+      ctx.moveTo(0, y((BC125AT.MAX_RSSI * i) / 4));
+      ctx.lineTo(width, y((BC125AT.MAX_RSSI * i) / 4));
+      ctx.stroke();
+    }
+    
+    const samples = this.signalSamples.filter(sample => sample.time >= start);
+    if (samples.length === 0) return;
+    
+    ctx.strokeStyle = '#3498db';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    samples.forEach((sample, i) => {
+      const x = ((sample.time - start) / this.signalWindow) * width;
+      if (i === 0) {
+        ctx.moveTo(x, y(sample.rssi));
+      } else {
+        ctx.lineTo(x, y(sample.rssi));
+      }
+    });
+    ctx.stroke();
+  }
+
+  /**
+   * Render min/avg/max for each frequency heard, lowest frequency first
+   */
+  renderSignalStats() {
+    const tbody = this.elements.signalStatsBody;
+    tbody.innerHTML = '';
+    
+    [...this.signalStats.values()]
+      .sort((a, b) => a.frequency - b.frequency)
+      .forEach(stats => {
+        const row = document.createElement('tr');
+        [
+          stats.frequency.toFixed(4),
+          stats.count,
+          stats.min,
+          Math.round(stats.total / stats.count),
+          stats.max
+        ].forEach(value => {
+          const cell = document.createElement('td');
+          cell.textContent = value;
+          row.appendChild(cell);
+        });
+        tbody.appendChild(row);
+      });
+  }
+
+  /**
+   * Discard recorded signal samples and statistics
+   */
+  clearSignalSamples() {
+    this.signalSamples = [];
+    this.signalStats.clear();
+    this.renderSignal(null);
+  }
+
+  /**
+   * Export the recorded signal samples to CSV
+   */
+  exportSignalSamples() {
+    if (this.signalSamples.length === 0) {
+      this.showStatus('No signal samples to export', 'info');
+      return;
+    }
+    
+    const rows = [['Time', 'Frequency_MHz', 'RSSI']];
+    this.signalSamples.forEach(sample => {
+      rows.push([
+        new Date(sample.time).toISOString(),
+        sample.frequency > 0 ? sample.frequency.toFixed(4) : '',
+        sample.rssi
+      ]);
+    });
+    
+    this.downloadFile(CSV.stringify(rows), 'bc125at_signal.csv', 'text/csv');
+    
+    this.showStatus(`Exported ${this.signalSamples.length} signal samples to CSV`, 'success');
+  }
+
+  /**
+   * Hits matching the activity log filter
+   */
+  getFilteredActivity() {
+    const filter = this.elements.activityFilter.value.toLowerCase();
+    if (!filter) return this.activityLog;
+    
+    return this.activityLog.filter(hit =>
+      String(hit.channel || '').includes(filter) ||
+      hit.name.toLowerCase().includes(filter) ||
+      hit.frequency.toFixed(4).includes(filter));
+  }
+
+  /**
+   * Render the activity log, newest hit first
+   */
+  renderActivityLog() {
+    const tbody = this.elements.activityTableBody;
+    const hits = this.getFilteredActivity();
+    tbody.innerHTML = '';
+    
+    hits.forEach(hit => {
+      const row = document.createElement('tr');
+      row.classList.toggle('active', !hit.end);
+      [
+        hit.start.toLocaleTimeString(),
+        hit.channel || '',
+        hit.name,
+        hit.frequency.toFixed(4),
+        hit.modulation || '',
+        this.scanner.getCTCSSDCSText(hit.ctcssDcs),
+        hit.end ? `${this.getHitDuration(hit)}s` : 'Active'
+      ].forEach(value => {
+        const cell = document.createElement('td');
+        cell.textContent = value;
+        row.appendChild(cell);
+      });
+      tbody.appendChild(row);
+    });
+    
+    const total = this.activityLog.length;
+    this.elements.activityCount.textContent = hits.length === total
+      ? `${total} hit${total === 1 ? '' : 's'}`
+      : `${hits.length} of ${total} hits`;
+  }
+
+  /**
+   * Length of a finished hit in seconds
+   */
+  getHitDuration(hit) {
+    return ((hit.end - hit.start) / 1000).toFixed(1);
+  }
+
+  /**
+   * Empty the activity log
+   */
+  clearActivityLog() {
+    // Keep a hit that is still in progress so it can be finished
+    this.activityLog = this.currentHit ? [this.currentHit] : [];
+    this.renderActivityLog();
+  }
+
+  /**
+   * Export the filtered activity log to CSV
+   */
+  exportActivityLog() {
+    const hits = this.getFilteredActivity();
+    if (hits.length === 0) {
+      this.showStatus('No activity to export', 'info');
+      return;
+    }
+    
+    const headers = ['Time', 'Channel', 'Name', 'Frequency_MHz', 'Modulation', 'CTCSS_DCS', 'Duration_s'];
+    const rows = [headers];
+    
+    // Oldest first, so the file reads as a timeline
+    [...hits].reverse().forEach(hit => {
+      rows.push([
+        hit.start.toISOString(),
+        hit.channel || '',
+        hit.name,
+        hit.frequency.toFixed(4),
+        hit.modulation || '',
+        this.scanner.getCTCSSDCSText(hit.ctcssDcs),
+        hit.end ? this.getHitDuration(hit) : ''
+      ]);
+    });
+    
+    this.downloadFile(CSV.stringify(rows), 'bc125at_activity.csv', 'text/csv');
+    
+    this.showStatus(`Exported ${hits.length} hits to CSV`, 'success');
+  }
+
+  /**
+   * Populate the sweep step choices
    */
-  async updateScannerInfo() {
-    try {
-      const model = await this.scanner.getModelInfo();
-      const firmware = await this.scanner.getFirmwareVersion();
-      
-      this.elements.modelInfo.textContent = `Model: ${model}`;
-      this.elements.firmwareInfo.textContent = `Firmware: ${firmware}`;
-      this.elements.scannerInfo.style.display = 'block';
-    } catch (error) {
-      console.error('Failed to get scanner info:', error);
-    }
+  populateSweepSteps() {
+    BandSweep.STEPS_KHZ.forEach(step => {
+      const option = document.createElement('option');
+      option.value = step;
+      option.textContent = `${step} kHz`;
+      option.selected = step === 12.5;
+      this.elements.sweepStep.appendChild(option);
+    });
   }
 
   /**
-   * Update connection UI state
+   * Sweep options from the form
    */
-  updateConnectionUI(connected) {
-    this.elements.connectBtn.disabled = connected;
-    this.elements.disconnectBtn.disabled = !connected;
-    this.elements.readChannelsBtn.disabled = !connected;
-    this.elements.programChannelsBtn.disabled = !connected || this.channels.length === 0;
-    
-    const status = this.elements.connectionStatus;
-    status.textContent = connected ? 'Connected' : 'Disconnected';
-    status.className = `status ${connected ? 'connected' : 'disconnected'}`;
-    
-    if (!connected) {
-      this.elements.scannerInfo.style.display = 'none';
-    }
+  getSweepOptions() {
+    return {
+      lower: parseFloat(this.elements.sweepLower.value),
+      upper: parseFloat(this.elements.sweepUpper.value),
+      step: parseFloat(this.elements.sweepStep.value),
+      samples: parseInt(this.elements.sweepSamples.value)
+    };
   }
 
   /**
-   * Read all channels from scanner
+   * Sweep the chosen range, charting each step as it is measured
    */
-  async readAllChannels() {
-    this.showProgress(true, 'Reading channels...');
+  async startSweep() {
+    const options = this.getSweepOptions();
+    const errors = BandSweep.validate(this.scanner, options);
+    if (errors.length > 0) {
+      this.showStatus('Cannot sweep: ' + errors.join('; '), 'error');
+      return;
+    }
+    
+    this.sweepController = new AbortController();
+    this.sweepResults = [];
+    this.updateSweepCandidates();
+    this.updateConnectionUI(true);
+    this.showProgress(true, 'Sweeping...');
     
     try {
-      this.channels = await this.scanner.getAllChannels((current, total) => {
+      await BandSweep.run(this.scanner, { ...options, signal: this.sweepController.signal }, (current, total, result) => {
+        this.sweepResults.push(result);
         const percent = Math.round((current / total) * 100);
-        this.updateProgress(percent, `Reading channel ${current}/${total}`);
+        this.updateProgress(percent, `Sweeping ${result.frequency.toFixed(4)} MHz (${current}/${total})`);
+        this.drawSweepChart();
       });
       
-      this.displayChannels();
-      this.elements.exportCSVBtn.disabled = false;
-      this.elements.programChannelsBtn.disabled = false;
-      this.showStatus(`Read ${this.channels.length} channels`, 'success');
+      const stopped = this.sweepController.signal.aborted ? 'Sweep stopped after' : 'Swept';
+      this.showStatus(`${stopped} ${this.sweepResults.length} frequencies`, 'success');
     } catch (error) {
-      console.error('Failed to read channels:', error);
-      this.showStatus('Failed to read channels: ' + error.message, 'error');
+      console.error('Sweep failed:', error);
+      this.showStatus('Sweep failed: ' + this.describeError(error), 'error');
     } finally {
+      this.sweepController = null;
       this.showProgress(false);
+      this.updateConnectionUI(this.scanner.connected);
+      this.updateSweepCandidates();
     }
   }
 
   /**
-   * Program all channels to scanner
+   * Ask a running sweep to stop after the current step
    */
-  async programAllChannels() {
-    if (!confirm('This will overwrite all channels on the scanner. Continue?')) {
-      return;
-    }
-
-    this.showProgress(true, 'Programming channels...');
-    
-    try {
-      const successCount = await this.scanner.programAllChannels(this.channels, (current, total) => {
-        const percent = Math.round((current / total) * 100);
-        this.updateProgress(percent, `Programming channel ${current}/${total}`);
-      });
-      
-      this.showStatus(`Programmed ${successCount}/${this.channels.length} channels`, 'success');
-    } catch (error) {
-      console.error('Failed to program channels:', error);
-      this.showStatus('Failed to program channels: ' + error.message, 'error');
-    } finally {
-      this.showProgress(false);
+  stopSweep() {
+    if (this.sweepController) {
+      this.sweepController.abort();
     }
   }
 
   /**
-   * Display channels in table
+   * Recompute and show candidates for the current threshold
    */
-  displayChannels() {
-    const tbody = this.elements.channelTableBody;
+  updateSweepCandidates() {
+    const threshold = parseInt(this.elements.sweepThreshold.value) || 0;
+    this.sweepCandidates = BandSweep.findCandidates(this.sweepResults, threshold);
+    
+    const tbody = this.elements.candidateTableBody;
     tbody.innerHTML = '';
     
-    this.channels.forEach(channel => {
-      const row = this.createChannelRow(channel);
+    this.sweepCandidates.forEach((candidate, i) => {
+      const existing = this.findChannelByFrequency(candidate.frequency);
+      
+      const row = document.createElement('tr');
+      row.innerHTML = `
+        <td><input type="checkbox" data-candidate="${i}" ${existing ? '' : 'checked'}></td>
+        <td>${candidate.frequency.toFixed(4)}</td>
+        <td>${candidate.rssi}</td>
+        <td></td>
+      `;
+      // Channel names come from imported files, so they are set as text
+      row.lastElementChild.textContent = existing ? `CH${existing.index}${existing.name ? ' ' + existing.name : ''}` : '';
       tbody.appendChild(row);
     });
     
-    this.filterChannels();
+    const count = this.sweepCandidates.length;
+    this.elements.sweepSummary.textContent = this.sweepResults.length === 0
+      ? 'No sweep run yet'
+      : `${count} candidate${count === 1 ? '' : 's'} at or above RSSI ${threshold} from ${this.sweepResults.length} steps`;
+    this.elements.addCandidatesBtn.disabled = count === 0;
+    this.drawSweepChart();
   }
 
   /**
-   * Create table row for channel
+   * Plot signal level against frequency with the threshold marked
    */
-  createChannelRow(channel) {
-    const row = document.createElement('tr');
-    row.className = channel.name || channel.frequency > 0 ? '' : 'empty';
-    row.dataset.channelIndex = channel.index;
+  drawSweepChart() {
+    const canvas = this.elements.sweepChart;
+    const ctx = canvas.getContext('2d');
+    const { width, height } = canvas;
+    const results = this.sweepResults;
+    const y = (rssi) => height - (rssi / BC125AT.MAX_RSSI) * height;
     
-    row.innerHTML = `
-      <td>${channel.index}</td>
-      <td class="editable-cell" data-field="name">${channel.name || ''}</td>
-      <td class="editable-cell" data-field="frequency">${channel.frequency > 0 ? channel.frequency.toFixed(6) : ''}</td>
-      <td class="editable-cell" data-field="modulation">${channel.modulation}</td>
-      <td class="editable-cell" data-field="ctcssDcs">${this.scanner.getCTCSSDCSText(channel.ctcssDcs)}</td>
-      <td class="editable-cell" data-field="delay">${channel.delay}s</td>
-      <td class="checkbox-cell" data-field="lockout"><span class="checkbox-indicator ${channel.lockout ? 'checked' : 'unchecked'}">${channel.lockout ? '✓' : '✗'}</span></td>
-      <td class="checkbox-cell" data-field="priority"><span class="checkbox-indicator ${channel.priority ? 'checked' : 'unchecked'}">${channel.priority ? '✓' : '✗'}</span></td>
-      <td><button class="delete-btn" onclick="app.deleteChannelRow(${channel.index})">Delete</button></td>
-    `;
+    ctx.clearRect(0, 0, width, height);
+    if (results.length === 0) return;
     
-    // Add click handlers for inline editing
-    this.addInlineEditHandlers(row, channel);
+    const { lower, upper } = this.getSweepOptions();
+    const span = upper - lower || 1;
+    const x = (frequency) => ((frequency - lower) / span) * width;
     
-    return row;
+    ctx.strokeStyle = '#3498db';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    results.forEach((result, i) => {
+      if (i === 0) {
+        ctx.moveTo(x(result.frequency), y(result.rssi));
+      } else {
+        ctx.lineTo(x(result.frequency), y(result.rssi));
+      }
+    });
+    ctx.stroke();
+    
+    const threshold = parseInt(this.elements.sweepThreshold.value) || 0;
+    ctx.strokeStyle = '#e74c3c';
+    ctx.lineWidth = 1;
+    ctx.setLineDash([4, 4]);
+    ctx.beginPath();
+    ctx.moveTo(0, y(threshold));
+    ctx.lineTo(width, y(threshold));
+    ctx.stroke();
+    ctx.setLineDash([]);
   }
 
   /**
-   * Filter channels based on search and show empty checkbox
+   * Put the ticked candidates into the first empty channels
    */
-  filterChannels() {
-    const filter = this.elements.channelFilter.value.toLowerCase();
-    const showEmpty = this.elements.showEmpty.checked;
-    const rows = this.elements.channelTableBody.querySelectorAll('tr');
+  addCandidatesToChannels() {
+    if (this.channels.length === 0) {
+      this.showStatus('Read channels from the scanner or import a CSV first', 'error');
+      return;
+    }
     
-    rows.forEach(row => {
-      const isEmpty = row.classList.contains('empty');
-      const name = row.cells[1].textContent.toLowerCase();
-      const frequency = row.cells[2].textContent;
-      
-      const matchesFilter = !filter || 
-        name.includes(filter) || 
-        frequency.includes(filter);
-      
-      const shouldShow = (showEmpty || !isEmpty) && matchesFilter;
-      
-      row.classList.toggle('hidden', !shouldShow);
+    const selected = [...this.elements.candidateTableBody.querySelectorAll('input[data-candidate]:checked')]
+      .map(input => this.sweepCandidates[parseInt(input.dataset.candidate)]);
+    if (selected.length === 0) {
+      this.showStatus('No candidates selected', 'info');
+      return;
+    }
+    
+    const empty = this.channels.filter(channel => this.scanner.isEmptyChannel(channel));
+    const before = EditHistory.snapshot(this.channels);
+    const added = selected.slice(0, empty.length).map((candidate, i) => {
+      const position = this.channels.indexOf(empty[i]);
+      this.channels[position] = {
+        ...empty[i],
+        name: `Sweep ${candidate.frequency.toFixed(4)}`,
+        frequency: candidate.frequency,
+        modulation: 'AUTO',
+        ctcssDcs: 0,
+        delay: 2,
+        lockout: false,
+        priority: false
+      };
+      return empty[i].index;
     });
+    
+    this.displayChannels();
+    this.recordHistory(`Add ${added.length} sweep candidates`, before);
+    this.updateSweepCandidates();
+    
+    if (added.length < selected.length) {
+      this.showStatus(`Added ${added.length} of ${selected.length} candidates; there are no more empty channels`, 'error');
+    } else {
+      this.showStatus(`Added ${added.length} candidates to channels ${added.join(', ')}. Use Program Changes to send them`, 'success');
+    }
   }
 
   /**
@@ -359,6 +3564,7 @@ class BC125ATApp {
     this.elements.editDelay.value = channel.delay;
     this.elements.editLockout.checked = channel.lockout;
     this.elements.editPriority.checked = channel.priority;
+    this.updateBandHint();
     
     // Show modal
     this.elements.editModal.style.display = 'block';
@@ -382,6 +3588,7 @@ class BC125ATApp {
     };
     
     // Update local data
+    const before = EditHistory.snapshot(this.channels);
     const index = this.channels.findIndex(ch => ch.index === this.currentEditingChannel.index);
     if (index !== -1) {
       this.channels[index] = updatedChannel;
@@ -390,6 +3597,7 @@ class BC125ATApp {
     // Update table
     this.displayChannels();
     this.closeModal();
+    this.recordHistory(`Edit channel ${updatedChannel.index}`, before);
     
     this.showStatus(`Channel ${updatedChannel.index} updated`, 'success');
   }
@@ -405,7 +3613,8 @@ class BC125ATApp {
     const emptyChannel = this.scanner.createEmptyChannel(this.currentEditingChannel.index);
     
     // Update local data
-    const index = this.channels.findIndex(ch => ch.index === this.currentEditingChannel.index);
+    const before = EditHistory.snapshot(this.channels);
+    const index = this.channels.findIndex(ch => ch.index === emptyChannel.index);
     if (index !== -1) {
       this.channels[index] = emptyChannel;
     }
@@ -413,8 +3622,9 @@ class BC125ATApp {
     // Update table
     this.displayChannels();
     this.closeModal();
+    this.recordHistory(`Clear channel ${emptyChannel.index}`, before);
     
-    this.showStatus(`Channel ${this.currentEditingChannel.index} deleted`, 'success');
+    this.showStatus(`Channel ${emptyChannel.index} deleted`, 'success');
   }
 
   /**
@@ -426,6 +3636,7 @@ class BC125ATApp {
     const emptyChannel = this.scanner.createEmptyChannel(channelIndex);
     
     // Update local data
+    const before = EditHistory.snapshot(this.channels);
     const index = this.channels.findIndex(ch => ch.index === channelIndex);
     if (index !== -1) {
       this.channels[index] = emptyChannel;
@@ -433,6 +3644,7 @@ class BC125ATApp {
     
     // Update table
     this.displayChannels();
+    this.recordHistory(`Clear channel ${channelIndex}`, before);
     
     this.showStatus(`Channel ${channelIndex} cleared`, 'success');
   }
@@ -456,32 +3668,89 @@ class BC125ATApp {
       rows.push([
         channel.index,
         channel.name || '',
-        channel.frequency || '',
+        channel.frequency > 0 ? channel.frequency.toFixed(4) : '',
         channel.modulation,
-        this.scanner.getCTCSSDCSText(channel.ctcssDcs),
+        this.scanner.formatToneText(channel.ctcssDcs),
         channel.delay,
         channel.lockout ? 'Yes' : 'No',
         channel.priority ? 'Yes' : 'No'
       ]);
     });
+    rows.push(...this.closeCallToCSVRows());
+    
+    this.downloadFile(CSV.stringify(rows), 'bc125at_channels.csv', 'text/csv');
+    
+    this.showStatus('Channels exported to CSV', 'success');
+  }
+
+  /**
+   * Export channels to a CHIRP CSV file, reporting what CHIRP cannot hold
+   */
+  exportToChirp() {
+    const { text, notes } = ChirpCSV.stringify(this.scanner, this.channels);
+    this.downloadFile(text, 'bc125at_chirp.csv', 'text/csv');
+    
+    this.renderConversionReport('CHIRP Export Report', notes,
+      `${notes.length} setting${notes.length === 1 ? '' : 's'} could not be written to the CHIRP file.`);
+    this.showStatus('Channels exported to CHIRP CSV', 'success');
+  }
+
+  /**
+   * Load channels from a CHIRP CSV file, reporting what did not map
+   */
+  importFromChirp(text) {
+    const { channels, notes } = ChirpCSV.parse(this.scanner, text);
+    const before = EditHistory.snapshot(this.channels);
+    const problems = this.applyImportedChannels(channels);
+    this.recordHistory('Import CHIRP CSV', before);
+    
+    this.renderConversionReport('CHIRP Import Report', [...notes, ...problems],
+      `Imported ${channels.length} channels. ${notes.length} item${notes.length === 1 ? '' : 's'} did not map exactly.`);
+    this.showStatus(`Imported ${channels.length} channels from CHIRP CSV`, 'success');
+  }
+
+  /**
+   * Show notes from converting another program's file, or hide the report
+   * when title is null or there is nothing to report
+   */
+  renderConversionReport(title, notes = [], summary = '') {
+    const tbody = this.elements.conversionTableBody;
+    tbody.innerHTML = '';
     
-    const csvContent = rows.map(row => row.map(cell => `"${cell}"`).join(',')).join('\n');
-    const blob = new Blob([csvContent], { type: 'text/csv' });
+    this.elements.conversionReport.style.display = title && notes.length > 0 ? 'block' : 'none';
+    this.elements.conversionTitle.textContent = title || '';
+    this.elements.conversionSummary.textContent = summary;
+    
+    notes.forEach(note => {
+      const row = document.createElement('tr');
+      [note.channel, note.field, note.message].forEach(text => {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        row.appendChild(cell);
+      });
+      tbody.appendChild(row);
+    });
+  }
+
+  /**
+   * Offer text content to the user as a file download
+   */
+  downloadFile(content, filename, type) {
+    const blob = new Blob([content], { type });
     const url = URL.createObjectURL(blob);
     
     const a = document.createElement('a');
     a.href = url;
-    a.download = 'bc125at_channels.csv';
+    a.download = filename;
     document.body.appendChild(a);
     a.click();
     document.body.removeChild(a);
     URL.revokeObjectURL(url);
-    
-    this.showStatus('Channels exported to CSV', 'success');
   }
 
   /**
-   * Import channels from CSV
+   * Import channels from CSV. Rows that cannot be read exactly are skipped
+   * and listed in the conversion report.
    */
   async importFromCSV(event) {
     const file = event.target.files[0];
@@ -489,49 +3758,59 @@ class BC125ATApp {
     
     try {
       const text = await file.text();
-      const rows = text.split('\n').map(row => row.split(',').map(cell => cell.replace(/^"|"$/g, '')));
-      
-      // Skip header row
-      const dataRows = rows.slice(1).filter(row => row.length >= 8 && row[0]);
-      
-      dataRows.forEach(row => {
-        const channelIndex = parseInt(row[0]);
-        if (channelIndex >= 1 && channelIndex <= 500) {
-          const existingIndex = this.channels.findIndex(ch => ch.index === channelIndex);
-          const channel = {
-            index: channelIndex,
-            name: row[1] || '',
-            frequency: parseFloat(row[2]) || 0,
-            modulation: row[3] || 'AUTO',
-            ctcssDcs: this.parseCTCSSDCSFromText(row[4]),
-            delay: parseFloat(row[5]) || 0,
-            lockout: row[6].toLowerCase() === 'yes',
-            priority: row[7].toLowerCase() === 'yes'
-          };
-          
-          if (existingIndex !== -1) {
-            this.channels[existingIndex] = channel;
-          } else {
-            this.channels.push(channel);
-          }
-        }
-      });
+      const records = CSV.parseRecords(text);
+      if (ChirpCSV.isChirpFile(records.map(record => record.cells))) {
+        this.importFromChirp(text);
+        event.target.value = '';
+        return;
+      }
       
-      // Sort channels by index
-      this.channels.sort((a, b) => a.index - b.index);
+      const imported = [];
+      const notes = [];
+      const closeCallRows = [];
+      let skipped = 0;
       
-      // Ensure we have all 500 channels
-      for (let i = 1; i <= 500; i++) {
-        if (!this.channels.find(ch => ch.index === i)) {
-          this.channels.push(this.scanner.createEmptyChannel(i));
+      records.forEach(({ line, cells }) => {
+        const first = cells[0].trim();
+        if (first === 'Channel') return;
+        if (first === 'CLC') {
+          closeCallRows.push(cells);
+          return;
+        }
+        
+        const { channel, errors } = this.parseChannelCSVRow(cells);
+        if (channel && imported.some(ch => ch.index === channel.index)) {
+          errors.push({ field: 'Channel', message: `channel ${channel.index} is already in the file` });
         }
+        if (errors.length > 0) {
+          skipped++;
+          errors.forEach(error => notes.push({
+            channel: /^\d+$/.test(first) ? parseInt(first) : '',
+            field: error.field,
+            message: `Line ${line}: ${error.message}; row skipped`
+          }));
+          return;
+        }
+        imported.push(channel);
+      });
+      
+      if (closeCallRows.length > 0) {
+        this.closeCallSettings = this.parseCloseCallCSVRows(closeCallRows);
+        this.closeCallSet = true;
+        this.renderCloseCallSettings();
       }
       
-      this.channels.sort((a, b) => a.index - b.index);
-      this.displayChannels();
-      this.elements.programChannelsBtn.disabled = false;
+      const before = EditHistory.snapshot(this.channels);
+      notes.push(...this.applyImportedChannels(imported));
+      this.recordHistory(`Import ${file.name}`, before);
+      this.renderConversionReport('CSV Import Report', notes,
+        `Imported ${imported.length} channels. ${skipped} row${skipped === 1 ? ' was' : 's were'} skipped.`);
       
-      this.showStatus(`Imported ${dataRows.length} channels from CSV`, 'success');
+      if (skipped > 0) {
+        this.showStatus(`Imported ${imported.length} channels from CSV; ${skipped} rows skipped`, 'error');
+      } else {
+        this.showStatus(`Imported ${imported.length} channels from CSV`, 'success');
+      }
     } catch (error) {
       console.error('CSV import failed:', error);
       this.showStatus('CSV import failed: ' + error.message, 'error');
@@ -542,32 +3821,143 @@ class BC125ATApp {
   }
 
   /**
-   * Parse CTCSS/DCS code from text representation
+   * Put imported channels over the matching slots, filling in any missing
+   * slots so the list always holds all 500 channels
+   * @returns {Object[]} validation notes for the imported channels
    */
-  parseCTCSSDCSFromText(text) {
-    if (!text || text === 'NONE') return 0;
-    if (text === 'SEARCH') return 127;
-    if (text === 'NO_TONE') return 240;
+  applyImportedChannels(imported) {
+    imported.forEach(channel => {
+      const existingIndex = this.channels.findIndex(ch => ch.index === channel.index);
+      if (existingIndex !== -1) {
+        this.channels[existingIndex] = channel;
+      } else {
+        this.channels.push(channel);
+      }
+    });
     
-    // CTCSS frequency
-    const ctcssMatch = text.match(/(\d+\.?\d*)Hz/);
-    if (ctcssMatch) {
-      const freq = parseFloat(ctcssMatch[1]);
-      for (const [code, f] of Object.entries(this.scanner.ctcssCodes)) {
-        if (Math.abs(f - freq) < 0.1) return parseInt(code);
+    // Ensure we have all 500 channels
+    for (let i = 1; i <= 500; i++) {
+      if (!this.channels.find(ch => ch.index === i)) {
+        this.channels.push(this.scanner.createEmptyChannel(i));
       }
     }
     
-    // DCS code
-    const dcsMatch = text.match(/DCS (\d+)/);
-    if (dcsMatch) {
-      const dcs = dcsMatch[1];
-      for (const [code, d] of Object.entries(this.scanner.dcsCodes)) {
-        if (d === dcs) return parseInt(code);
-      }
+    this.channels.sort((a, b) => a.index - b.index);
+    this.displayChannels();
+    this.elements.exportCSVBtn.disabled = false;
+    this.elements.exportChirpBtn.disabled = false;
+    this.elements.programChannelsBtn.disabled = false;
+    
+    return this.getValidationNotes(imported);
+  }
+
+  /**
+   * Read one channel row of an exported CSV file
+   * @returns {Object} { channel, errors } - channel is null when the channel
+   * number is unusable; errors are { field, message }
+   */
+  parseChannelCSVRow(cells) {
+    const errors = [];
+    const error = (field, message) => errors.push({ field, message });
+    
+    if (cells.length < 8) {
+      error('Row', `expected 8 columns, found ${cells.length}`);
+      return { channel: null, errors };
+    }
+    
+    const [index, name, frequency, modulation, tone, delay, lockout, priority] = cells.map((cell, i) => i === 1 ? cell : cell.trim());
+    const yesNo = (field, text) => {
+      if (/^(yes|no|)$/i.test(text)) return text.toLowerCase() === 'yes';
+      error(field, `"${text}" is not Yes or No`);
+      return false;
+    };
+    
+    const channel = {
+      index: parseInt(index),
+      name,
+      frequency: frequency === '' ? 0 : Number(frequency),
+      modulation: (modulation || 'AUTO').toUpperCase(),
+      ctcssDcs: this.scanner.parseToneText(tone),
+      delay: delay === '' ? 0 : Number(delay),
+      lockout: yesNo('Lockout', lockout),
+      priority: yesNo('Priority', priority)
+    };
+    
+    if (!/^\d+$/.test(index) || channel.index < 1 || channel.index > 500) {
+      error('Channel', `"${index}" is not a channel number (1-500)`);
+      return { channel: null, errors };
+    }
+    if (name.length > BC125AT.NAME_LENGTH) {
+      error('Name', `"${name}" is longer than ${BC125AT.NAME_LENGTH} characters`);
+    }
+    if (!Number.isFinite(channel.frequency) || channel.frequency < 0) {
+      error('Frequency', `"${frequency}" is not a frequency`);
+    } else if (channel.frequency > 0 && !this.scanner.isFrequencySupported(channel.frequency)) {
+      error('Frequency', `${frequency} MHz is outside the scanner's bands`);
     }
+    if (!BC125AT.MODULATIONS.includes(channel.modulation)) {
+      error('Modulation', `"${modulation}" is not AUTO, AM, FM or NFM`);
+    }
+    if (channel.ctcssDcs === null) {
+      error('CTCSS/DCS', `"${tone}" is not a tone the scanner decodes`);
+    }
+    if (!BC125AT.DELAYS.includes(channel.delay)) {
+      error('Delay', `"${delay}" is not a delay the scanner allows`);
+    }
+    
+    return { channel, errors };
+  }
+
+  /**
+   * Close Call settings as CSV rows that follow the channel rows
+   * (older versions of the importer skip them as non-channel rows)
+   */
+  closeCallToCSVRows() {
+    const settings = this.closeCallSettings;
+    const rows = [
+      ['CLC', 'Mode', settings.mode],
+      ['CLC', 'AlertBeep', settings.alertBeep ? 'Yes' : 'No'],
+      ['CLC', 'AlertLight', settings.alertLight ? 'Yes' : 'No'],
+      ['CLC', 'Lockout', settings.lockout ? 'Yes' : 'No']
+    ];
+    
+    BC125AT.CLOSE_CALL_BANDS.forEach((band, i) => {
+      rows.push(['CLC', `Band_${band.key}`, settings.bands[i] ? 'Yes' : 'No']);
+    });
+    
+    return rows;
+  }
+
+  /**
+   * Apply CLC rows from a CSV file on top of the current Close Call settings
+   */
+  parseCloseCallCSVRows(rows) {
+    const settings = { ...this.closeCallSettings, bands: [...this.closeCallSettings.bands] };
     
-    return 0;
+    const clean = cell => (cell || '').trim();
+    
+    rows.forEach(row => {
+      const key = clean(row[1]);
+      const value = clean(row[2]);
+      const yes = value.toLowerCase() === 'yes';
+      
+      if (key === 'Mode' && BC125AT.CLOSE_CALL_MODES.includes(value)) {
+        settings.mode = value;
+      } else if (key === 'AlertBeep') {
+        settings.alertBeep = yes;
+      } else if (key === 'AlertLight') {
+        settings.alertLight = yes;
+      } else if (key === 'Lockout') {
+        settings.lockout = yes;
+      } else if (key.startsWith('Band_')) {
+        const band = BC125AT.CLOSE_CALL_BANDS.findIndex(b => `Band_${b.key}` === key);
+        if (band !== -1) {
+          settings.bands[band] = yes;
+        }
+      }
+    });
+    
+    return settings;
   }
 
   /**
@@ -588,6 +3978,39 @@ class BC125ATApp {
     this.elements.progressText.textContent = text || `${percent}%`;
   }
 
+  /**
+   * Turn a scanner error into a message with a hint for the user
+   */
+  describeError(error) {
+    if (error instanceof BC125ATChannelReadError) {
+      const details = error.failures.map(failure => `channel ${failure.index}: ${failure.error.message}`);
+      const hint = this.getErrorHint(error.failures[0].error);
+      return `${error.message}, so the channel list was not changed (${details.join('; ')})` +
+        (hint ? `. ${hint}` : '');
+    }
+    const hint = this.getErrorHint(error);
+    return hint ? `${error.message}. ${hint}` : error.message;
+  }
+
+  /**
+   * What the user can do about a scanner error, or null
+   */
+  getErrorHint(error) {
+    if (error instanceof BC125ATTimeoutError) {
+      return 'Check the cable and that the scanner is switched on.';
+    }
+    if (error instanceof BC125ATRejectedError) {
+      return 'The scanner may be showing a menu or not be in program mode.';
+    }
+    if (error instanceof BC125ATCommandError) {
+      return 'The scanner firmware may not support this command.';
+    }
+    if (error instanceof BC125ATGarbledError) {
+      return 'The serial link may be noisy; try another cable or USB port.';
+    }
+    return null;
+  }
+
   /**
    * Show status message
    */
@@ -713,19 +4136,163 @@ class BC125ATApp {
         break;
     }
 
+    const previous = this.channels[channelIndex];
+    const before = EditHistory.snapshot(this.channels);
+    const bandPlanChange = field === 'frequency' && updatedChannel.frequency !== previous.frequency
+      ? this.applyBandPlan(updatedChannel, previous.modulation)
+      : null;
+
     // Update local data
     this.channels[channelIndex] = updatedChannel;
 
     // Update display
     this.updateCellDisplay(cell, updatedChannel, field);
+    if (bandPlanChange) {
+      this.updateCellDisplay(cell.parentElement.querySelector('td[data-field="modulation"]'), updatedChannel, 'modulation');
+      this.showBandPlanChange(bandPlanChange);
+    }
     
-    // Update row class for empty/non-empty
-    const row = cell.parentElement;
-    row.className = updatedChannel.name || updatedChannel.frequency > 0 ? '' : 'empty';
+    // Update row markers for empty/changed
+    this.updateRowState(cell.parentElement, updatedChannel);
+    this.updateDirtyCount();
+    this.updateValidationSummary();
+    this.renderBanks();
+    this.recordHistory(`Edit channel ${channel.index} ${ChannelValidator.FIELD_LABELS[field].toLowerCase()}`, before);
     
     this.showStatus(`Channel ${channel.index} updated`, 'success');
   }
 
+  /**
+   * Move a typed frequency that is not a channel in its band onto the
+   * nearest one and set the band's usual modulation, when band plan
+   * auto-fill is on
+   * @param {Object} channel - channel holding the typed frequency; updated in place
+   * @param {string} previousModulation - modulation before the edit, for reverting
+   * @returns {Object|null} what changed, or null if nothing did
+   */
+  applyBandPlan(channel, previousModulation) {
+    if (!this.elements.bandPlanAutofill.checked) return null;
+    
+    const suggestion = BandPlan.suggest(this.scanner, channel.frequency);
+    if (!suggestion) return null;
+    
+    const change = {
+      index: channel.index,
+      typedFrequency: channel.frequency,
+      frequency: suggestion.frequency,
+      previousModulation,
+      modulation: suggestion.modulation,
+      segment: suggestion.segment
+    };
+    if (change.frequency === change.typedFrequency && change.modulation === previousModulation) {
+      return null;
+    }
+    
+    channel.frequency = change.frequency;
+    channel.modulation = change.modulation;
+    return change;
+  }
+
+  /**
+   * Tell the user what band plan auto-fill changed, or hide the notice
+   */
+  showBandPlanChange(change) {
+    this.bandPlanChange = change;
+    this.elements.bandPlanNotice.style.display = change ? 'flex' : 'none';
+    if (!change) return;
+    
+    const parts = [];
+    if (change.frequency !== change.typedFrequency) {
+      parts.push(`${change.typedFrequency} MHz rounded to ${change.frequency.toFixed(4)} MHz (${BandPlan.formatSteps(change.segment)} steps)`);
+    }
+    if (change.modulation !== change.previousModulation) {
+      parts.push(`modulation set to ${change.modulation}`);
+    }
+    this.elements.bandPlanNoticeText.textContent =
+      `Channel ${change.index}, ${change.segment.label} band: ${parts.join('; ')}.`;
+  }
+
+  /**
+   * Put back the frequency and modulation as they were before auto-fill
+   */
+  revertBandPlanChange() {
+    const change = this.bandPlanChange;
+    if (!change) return;
+    
+    const channelIndex = this.channels.findIndex(ch => ch.index === change.index);
+    if (channelIndex !== -1) {
+      const before = EditHistory.snapshot(this.channels);
+      const updatedChannel = {
+        ...this.channels[channelIndex],
+        frequency: change.typedFrequency,
+        modulation: change.previousModulation
+      };
+      this.channels[channelIndex] = updatedChannel;
+      
+      const row = this.elements.channelTableBody.querySelector(`tr[data-channel-index="${change.index}"]`);
+      if (row) {
+        ['frequency', 'modulation'].forEach(field => {
+          this.updateCellDisplay(row.querySelector(`td[data-field="${field}"]`), updatedChannel, field);
+        });
+        this.updateRowState(row, updatedChannel);
+      }
+      this.updateDirtyCount();
+      this.updateValidationSummary();
+      this.renderBanks();
+      this.recordHistory(`Keep channel ${change.index} as typed`, before);
+    }
+    
+    this.showBandPlanChange(null);
+    this.showStatus(`Channel ${change.index} kept as typed`, 'success');
+  }
+
+  /**
+   * What the band plan would change in the edit form, or null when it
+   * agrees with the form or auto-fill is off
+   */
+  getFormSuggestion() {
+    const frequency = parseFloat(this.elements.editFrequency.value);
+    if (!this.elements.bandPlanAutofill.checked || !(frequency > 0)) return null;
+    
+    const suggestion = BandPlan.suggest(this.scanner, frequency);
+    if (!suggestion) return null;
+    if (suggestion.frequency === frequency && suggestion.modulation === this.elements.editModulation.value) {
+      return null;
+    }
+    return suggestion;
+  }
+
+  /**
+   * Fill in the band plan's suggestion when the user accepts it
+   */
+  applyBandPlanToForm() {
+    const suggestion = this.getFormSuggestion();
+    if (suggestion) {
+      this.elements.editFrequency.value = suggestion.frequency;
+      this.elements.editModulation.value = suggestion.modulation;
+    }
+    this.updateBandHint();
+  }
+
+  /**
+   * Describe the band plan segment of the frequency in the edit form and
+   * offer its suggestion. Nothing in the form changes until the user
+   * clicks Use Suggestion.
+   */
+  updateBandHint() {
+    const segment = BandPlan.findSegment(parseFloat(this.elements.editFrequency.value));
+    this.elements.editBandHint.textContent = segment
+      ? `${segment.label} band: usually ${segment.modulation}, ${BandPlan.formatSteps(segment)} steps`
+      : '';
+    
+    const suggestion = this.getFormSuggestion();
+    this.elements.editBandSuggestion.style.display = suggestion ? 'flex' : 'none';
+    if (suggestion) {
+      this.elements.editBandSuggestionText.textContent =
+        `Suggested: ${suggestion.frequency.toFixed(4)} MHz, ${suggestion.modulation}`;
+    }
+  }
+
   /**
    * Toggle checkbox field
    */
@@ -734,6 +4301,7 @@ class BC125ATApp {
     const channelIndex = this.channels.findIndex(ch => ch.index === channel.index);
     if (channelIndex === -1) return;
 
+    const before = EditHistory.snapshot(this.channels);
     const updatedChannel = { ...this.channels[channelIndex] };
     updatedChannel[field] = !updatedChannel[field];
 
@@ -744,6 +4312,9 @@ class BC125ATApp {
     const indicator = cell.querySelector('.checkbox-indicator');
     indicator.className = `checkbox-indicator ${updatedChannel[field] ? 'checked' : 'unchecked'}`;
     indicator.textContent = updatedChannel[field] ? '✓' : '✗';
+    this.updateRowState(cell.parentElement, updatedChannel);
+    this.updateDirtyCount();
+    this.recordHistory(`${updatedChannel[field] ? 'Set' : 'Clear'} channel ${channel.index} ${field}`, before);
 
     this.showStatus(`Channel ${channel.index} updated`, 'success');
   }
@@ -0,0 +1,119 @@
+/**
+ * BC125AT Band Plan
+ * The usual modulation and channel step for each part of the scanner's
+ * coverage, used to fill in sensible settings when a frequency is typed and
+ * to spot a modulation that does not suit the band.
+ */
+
+class BandPlan {
+  // 8.33 kHz airband spacing is exactly a third of 25 kHz
+  static AIR_833 = 25 / 3;
+
+  // Segments in MHz with their modulation and the channel grids in use
+  // there (kHz, multiples from 0 Hz). Where two segments share an edge, or
+  // one sits inside another, the first listed wins. The 2.5 kHz grids hold
+  // the 7.5 kHz offset narrowband channels (155.7525, 154.4525...) and the
+  // 5 kHz airband grid holds the names of 8.33 kHz channels (118.005...).
+  static SEGMENTS = [
+    { lower: 25, upper: 26.965, label: 'shortwave', modulation: 'AM', steps: [5] },
+    { lower: 26.965, upper: 27.405, label: 'CB', modulation: 'AM', steps: [5] },
+    { lower: 27.405, upper: 28, label: '27 MHz business', modulation: 'AM', steps: [5] },
+    { lower: 28, upper: 29.7, label: '10 m amateur', modulation: 'FM', steps: [5] },
+    { lower: 29.7, upper: 50, label: 'VHF low land mobile', modulation: 'NFM', steps: [5, 2.5] },
+    { lower: 50, upper: 54, label: '6 m amateur', modulation: 'FM', steps: [5] },
+    { lower: 108, upper: 137, label: 'civil air', modulation: 'AM', steps: [25, BandPlan.AIR_833, 5] },
+    { lower: 137, upper: 144, label: 'VHF government', modulation: 'NFM', steps: [12.5, 5, 2.5] },
+    { lower: 144, upper: 148, label: '2 m amateur', modulation: 'FM', steps: [5, 12.5] },
+    { lower: 162.4, upper: 162.55, label: 'NOAA weather', modulation: 'FM', steps: [25] },
+    { lower: 148, upper: 174, label: 'VHF high land mobile', modulation: 'NFM', steps: [5, 2.5, 6.25] },
+    { lower: 225, upper: 380, label: 'military air', modulation: 'AM', steps: [25, 5] },
+    { lower: 400, upper: 420, label: 'UHF government', modulation: 'NFM', steps: [12.5, 6.25] },
+    { lower: 420, upper: 450, label: '70 cm amateur', modulation: 'FM', steps: [5, 6.25] },
+    { lower: 450, upper: 470, label: 'UHF land mobile', modulation: 'NFM', steps: [12.5, 6.25] },
+    { lower: 470, upper: 512, label: 'UHF-T land mobile', modulation: 'NFM', steps: [12.5, 6.25] }
+  ];
+
+  /**
+   * Band plan segment holding a frequency, or null outside the coverage
+   */
+  static findSegment(frequency) {
+    return BandPlan.SEGMENTS.find(segment => frequency >= segment.lower && frequency <= segment.upper) || null;
+  }
+
+  /**
+   * Nearest point of each of a segment's grids, in the scanner's 100 Hz
+   * units. Grid points between two units (6.25 and 8.33 kHz) are rounded to
+   * the nearer unit, as that is the closest the scanner can store.
+   */
+  static gridPoints(segment, units) {
+    return segment.steps.map(step => {
+      const size = step * 10;
+      return Math.round(Math.round(units / size) * size);
+    });
+  }
+
+  /**
+   * Whether a frequency is a channel on one of its segment's grids
+   * @param {BC125AT} scanner - used for frequency conversion
+   */
+  static isOnGrid(scanner, frequency, segment = BandPlan.findSegment(frequency)) {
+    if (!segment) return false;
+    const units = scanner.formatFrequency(frequency);
+    return BandPlan.gridPoints(segment, units).includes(units);
+  }
+
+  /**
+   * Move a frequency that is on none of its segment's grids to the nearest
+   * channel on any of them; frequencies already on a grid are kept
+   * @param {BC125AT} scanner - used for frequency conversion
+   * @returns {number} MHz, unchanged outside the coverage
+   */
+  static snapFrequency(scanner, frequency) {
+    const segment = BandPlan.findSegment(frequency);
+    if (!segment) return frequency;
+
+    const units = scanner.formatFrequency(frequency);
+    const nearest = BandPlan.gridPoints(segment, units)
+      .reduce((best, point) => Math.abs(point - units) < Math.abs(best - units) ? point : best);
+    return scanner.parseFrequency(nearest);
+  }
+
+  /**
+   * A segment's channel grids for display, e.g. "25, 8.33, 5 kHz"
+   */
+  static formatSteps(segment) {
+    return `${segment.steps.map(step => Number(step.toFixed(2))).join(', ')} kHz`;
+  }
+
+  /**
+   * Settings the band plan suggests for a typed frequency
+   * @returns {Object|null} { frequency, modulation, segment }, or null
+   * outside the coverage
+   */
+  static suggest(scanner, frequency) {
+    const segment = BandPlan.findSegment(frequency);
+    if (!segment) return null;
+
+    return {
+      frequency: BandPlan.snapFrequency(scanner, frequency),
+      modulation: segment.modulation,
+      segment
+    };
+  }
+
+  /**
+   * Whether a modulation suits a segment. AUTO always does, and FM and NFM
+   * are treated alike since the band plan cannot tell them apart.
+   */
+  static fitsModulation(segment, modulation) {
+    if (modulation === 'AUTO') return true;
+    return (modulation === 'AM') === (segment.modulation === 'AM');
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = BandPlan;
+} else if (typeof window !== 'undefined') {
+  window.BandPlan = BandPlan;
+}
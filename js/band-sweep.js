@@ -0,0 +1,174 @@
+/**
+ * BC125AT Band Sweep
+ * Poor-man's spectrum survey. The BC125AT has no command to tune a
+ * frequency directly, so the sweep borrows one custom search range, narrows
+ * it to a single frequency (lower = upper) for each step, runs a custom
+ * search on it and samples signal strength with PWR.
+ */
+
+class BandSweep {
+  // Custom search range borrowed for tuning; restored when the sweep ends
+  static SEARCH_SLOT = 10;
+  static MAX_STEPS = 2000;
+  static STEPS_KHZ = [5, 10, 12.5, 25, 50, 100];
+
+  /**
+   * Check sweep options against the scanner's coverage
+   * @returns {string[]} problems found, empty when the options are usable
+   */
+  static validate(scanner, { lower, upper, step, samples }) {
+    const errors = scanner.validateSearchRange({ lower, upper });
+
+    if (!BandSweep.STEPS_KHZ.includes(step)) {
+      errors.push(`step must be one of ${BandSweep.STEPS_KHZ.join(', ')} kHz`);
+    }
+    if (!Number.isInteger(samples) || samples < 1 || samples > 10) {
+      errors.push('samples per step must be 1-10');
+    }
+    if (errors.length === 0 && BandSweep.getFrequencies(scanner, lower, upper, step).length > BandSweep.MAX_STEPS) {
+      errors.push(`range has more than ${BandSweep.MAX_STEPS} steps; use a larger step or a narrower range`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Frequencies in MHz from lower to upper in steps of step kHz, skipping
+   * any that fall in gaps between the scanner's bands
+   */
+  static getFrequencies(scanner, lower, upper, step) {
+    // Work in the protocol's 100 Hz units so steps do not accumulate rounding
+    const first = scanner.formatFrequency(lower);
+    const last = scanner.formatFrequency(upper);
+    const increment = Math.round(step * 10);
+    const frequencies = [];
+
+    for (let units = first; units <= last; units += increment) {
+      const frequency = scanner.parseFrequency(units);
+      if (scanner.isFrequencySupported(frequency)) {
+        frequencies.push(frequency);
+      }
+    }
+
+    return frequencies;
+  }
+
+  /**
+   * Sweep a range, leaving the scanner in the mode it started in and with
+   * the borrowed search range and custom search groups put back
+   * @param {BC125AT} scanner - connected scanner
+   * @param {Object} options - { lower, upper (MHz), step (kHz), samples, dwell (ms), signal (AbortSignal) }
+   * @param {Function} progressCallback - called with (current, total, result)
+   * @returns {Object[]} results as { frequency, rssi } where rssi is the
+   * strongest sample at that step
+   */
+  static async run(scanner, options, progressCallback) {
+    const { lower, upper, step, samples = 3, dwell = 100, signal = null } = options;
+    const errors = BandSweep.validate(scanner, { lower, upper, step, samples });
+    if (errors.length > 0) {
+      throw new Error(`Invalid sweep: ${errors.join('; ')}`);
+    }
+
+    const frequencies = BandSweep.getFrequencies(scanner, lower, upper, step);
+    const slot = BandSweep.SEARCH_SLOT;
+    const startedInProgramMode = scanner.programMode;
+    const results = [];
+
+    if (!startedInProgramMode) {
+      await scanner.enterProgramMode();
+    }
+    const savedRange = await scanner.getCustomSearchRange(slot);
+    const savedGroups = await scanner.getCustomSearchGroups();
+    let searching = false;
+
+    try {
+      await scanner.setCustomSearchGroups(savedGroups.map((_, i) => i === slot - 1));
+
+      for (let i = 0; i < frequencies.length; i++) {
+        if (signal && signal.aborted) break;
+
+        const frequency = frequencies[i];
+        if (!scanner.programMode) {
+          await scanner.enterProgramMode();
+        }
+        await scanner.setCustomSearchRange({ index: slot, lower: frequency, upper: frequency });
+        await scanner.exitProgramMode();
+
+        // Leaving program mode resumes the previous mode, so Func+Srch is only needed once
+        if (!searching) {
+          await scanner.pressKey('F');
+          await scanner.pressKey('S');
+          searching = true;
+        }
+
+        await BandSweep.wait(dwell);
+        let rssi = 0;
+        for (let n = 0; n < samples; n++) {
+          rssi = Math.max(rssi, (await scanner.getSignalStrength()).rssi);
+        }
+
+        const result = { frequency, rssi };
+        results.push(result);
+        if (progressCallback) {
+          progressCallback(i + 1, frequencies.length, result);
+        }
+      }
+    } finally {
+      if (scanner.connected) {
+        if (searching && !scanner.programMode) {
+          await scanner.pressKey('S');
+        }
+        if (!scanner.programMode) {
+          await scanner.enterProgramMode();
+        }
+        await scanner.setCustomSearchRange(savedRange);
+        await scanner.setCustomSearchGroups(savedGroups);
+        if (!startedInProgramMode) {
+          await scanner.exitProgramMode();
+        }
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Steps at or above the threshold. A run of neighbouring steps is one
+   * signal, so only its strongest step is kept.
+   * @returns {Object[]} candidates as { frequency, rssi }
+   */
+  static findCandidates(results, threshold) {
+    const candidates = [];
+    let best = null;
+
+    results.forEach(result => {
+      if (result.rssi >= threshold) {
+        if (!best || result.rssi > best.rssi) {
+          best = result;
+        }
+      } else if (best) {
+        candidates.push(best);
+        best = null;
+      }
+    });
+    if (best) {
+      candidates.push(best);
+    }
+
+    return candidates;
+  }
+
+  /**
+   * Pause between tuning and sampling so the receiver can settle
+   */
+  static wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = BandSweep;
+} else if (typeof window !== 'undefined') {
+  window.BandSweep = BandSweep;
+}
@@ -0,0 +1,924 @@
+/**
+ * BC125AT Scanner Emulator
+ * Software stand-in for a BC125AT on the end of a serial port. It exposes the
+ * same open()/close()/readable/writable shape as a Web Serial SerialPort, so
+ * it can be handed straight to BC125AT.connect() in the browser or in Node.
+ */
+
+class BC125ATEmulator {
+  // KEY codes: Menu, Func, Hold, Scan/Srch, L/O, digits, ./No, E/Yes,
+  // volume knob left/right/push and Power/Light
+  static KEYS = ['M', 'F', 'H', 'S', 'L', '1', '2', '3', '4', '5', '6', '7', '8', '9', '0',
+    '.', 'E', '<', '>', '^', 'P'];
+
+  constructor(options = {}) {
+    this.model = options.model || 'BC125AT';
+    this.firmware = options.firmware || 'Version 1.06.06';
+    this.random = options.random || Math.random;
+    this.now = options.now || (() => Date.now());
+
+    // Chance per GLG poll that a quiet radio stops on a channel with activity
+    this.activityRate = options.activityRate ?? 0.1;
+
+    // Fault injection: rates are probabilities between 0 and 1 per command
+    this.faults = {
+      replyDelay: 0,
+      errorRate: 0,
+      ngRate: 0,
+      dropRate: 0,
+      garbleRate: 0,
+      ...options.faults
+    };
+    this.pendingFaults = [];
+
+    this.readable = null;
+    this.writable = null;
+    this.controller = null;
+    this.rxBuffer = '';
+    this.receivedCommands = [];
+
+    this.encoder = new TextEncoder();
+    this.decoder = new TextDecoder();
+
+    this.reset();
+    if (options.demo) {
+      this.loadDemoData();
+    }
+  }
+
+  /**
+   * Restore factory memory and settings
+   */
+  reset() {
+    this.programMode = false;
+    this.activity = null;
+    this.hold = null;
+    this.keyEntry = null;
+    this.panelMessage = null;
+    this.searching = false;
+    this.funcPending = false;
+    this.offChannelHit = null;
+
+    // Off-channel transmitters that search and Close Call can pick up
+    this.transmitters = [];
+
+    this.channels = [];
+    for (let i = 1; i <= 500; i++) {
+      this.channels.push(this.createEmptyChannel(i));
+    }
+
+    this.scanGroups = '0000000000';
+    this.closeCall = { mode: '0', alertBeep: '1', alertLight: '1', bands: '11111', lockout: '0' };
+    this.serviceSearchGroups = '0000000000';
+    this.customSearchGroups = '0000000000';
+    this.customSearchRanges = [
+      [250000, 279950], [280000, 540000], [1080000, 1369916], [1370000, 1439950],
+      [1440000, 1479950], [1480000, 1507950], [1508000, 1619950], [1620000, 1740000],
+      [2250000, 3800000], [4000000, 5120000]
+    ];
+    this.searchOptions = { delay: '2', codeSearch: '0' };
+    this.globalLockouts = [];
+    this.globalLockoutCursor = 0;
+
+    this.settings = {
+      backlight: 'KY',
+      contrast: '8',
+      volume: '5',
+      squelch: '3',
+      keyBeep: '0',
+      keyLock: '0',
+      batteryCharge: '14',
+      priority: '0',
+      weatherAlert: '0'
+    };
+  }
+
+  /**
+   * Populate a handful of channels so the demo has something to show
+   */
+  loadDemoData() {
+    const demoChannels = [
+      [1, 'NOAA WX1', 1625500, 'NFM', 0, 2, 0, 0],
+      [2, 'NOAA WX2', 1624000, 'NFM', 0, 2, 0, 0],
+      [3, 'TOWER', 1187000, 'AM', 0, 2, 0, 0],
+      [4, 'GROUND', 1219000, 'AM', 0, 2, 0, 0],
+      [5, 'ATIS', 1278500, 'AM', 0, 0, 1, 0],
+      [6, 'MARINE 16', 1568000, 'NFM', 0, 2, 0, 0],
+      [7, 'PD DISPATCH', 1543400, 'NFM', 76, 2, 0, 1],
+      [8, 'FIRE DISPATCH', 1542800, 'NFM', 89, 2, 0, 0],
+      [9, 'HAM 2M CALL', 1465200, 'FM', 0, 2, 0, 0],
+      [10, 'MIL AIR', 2691000, 'AM', 0, 2, 0, 0],
+      [51, 'FRS 1', 4625625, 'NFM', 0, 2, 0, 0],
+      [52, 'GMRS 15', 4625500, 'NFM', 136, 2, 0, 0],
+      [53, 'RAIL ROAD', 1602150, 'NFM', 0, 2, 0, 0]
+    ];
+
+    demoChannels.forEach(([index, name, frequency, modulation, ctcssDcs, delay, lockout, priority]) => {
+      this.channels[index - 1] = { index, name, frequency, modulation, ctcssDcs, delay, lockout, priority };
+    });
+
+    this.globalLockouts = [1625250, 4625750];
+
+    this.transmitters = [
+      { frequency: 4625625, modulation: 'NFM', ctcssDcs: 76 },
+      { frequency: 4672125, modulation: 'NFM', ctcssDcs: 0 },
+      { frequency: 1545700, modulation: 'NFM', ctcssDcs: 140 },
+      { frequency: 1224500, modulation: 'AM', ctcssDcs: 0 },
+      { frequency: 1465200, modulation: 'FM', ctcssDcs: 0 }
+    ];
+  }
+
+  /**
+   * Open the virtual port (mirrors SerialPort.open)
+   */
+  async open(options = {}) {
+    if (this.readable) {
+      throw new Error('Port is already open');
+    }
+
+    this.openOptions = options;
+    this.rxBuffer = '';
+
+    this.readable = new ReadableStream({
+      start: (controller) => {
+        this.controller = controller;
+      },
+      cancel: () => {
+        this.controller = null;
+      }
+    });
+
+    this.writable = new WritableStream({
+      write: (chunk) => this.receive(chunk)
+    });
+  }
+
+  /**
+   * Close the virtual port (mirrors SerialPort.close)
+   */
+  async close() {
+    if (this.controller) {
+      try {
+        this.controller.close();
+      } catch (error) {
+        // Stream was already cancelled by the reader
+      }
+    }
+
+    this.controller = null;
+    this.readable = null;
+    this.writable = null;
+    this.programMode = false;
+  }
+
+  /**
+   * Describe the port the way SerialPort.getInfo() does
+   */
+  getInfo() {
+    return { emulated: true, model: this.model };
+  }
+
+  /**
+   * Force the next command(s) to fail in a specific way
+   * @param {string} kind - 'err', 'ng', 'drop' or 'garble'
+   */
+  failNext(kind, count = 1) {
+    for (let i = 0; i < count; i++) {
+      this.pendingFaults.push(kind);
+    }
+  }
+
+  /**
+   * Receive bytes written by the host and answer each complete command
+   */
+  receive(chunk) {
+    this.rxBuffer += this.decoder.decode(chunk, { stream: true });
+
+    let end;
+    while ((end = this.rxBuffer.indexOf('\r')) !== -1) {
+      const command = this.rxBuffer.slice(0, end).replace(/^\n/, '');
+      this.rxBuffer = this.rxBuffer.slice(end + 1);
+      if (command) {
+        this.respond(command);
+      }
+    }
+  }
+
+  /**
+   * Work out the reply for a command, apply faults and queue it for reading
+   */
+  respond(command) {
+    this.receivedCommands.push(command);
+
+    const fault = this.pickFault();
+    if (fault === 'drop') return;
+
+    let reply;
+    if (fault === 'err') {
+      reply = 'ERR';
+    } else if (fault === 'ng') {
+      reply = `${command.split(',')[0]},NG`;
+    } else {
+      reply = this.handleCommand(command);
+    }
+
+    const bytes = this.encoder.encode(reply + '\r');
+    if (fault === 'garble') {
+      bytes[Math.floor(this.random() * (bytes.length - 1))] = 0xFF;
+    }
+
+    if (this.faults.replyDelay > 0) {
+      setTimeout(() => this.emit(bytes), this.faults.replyDelay);
+    } else {
+      this.emit(bytes);
+    }
+  }
+
+  /**
+   * Push reply bytes onto the readable side if it is still open
+   */
+  emit(bytes) {
+    if (!this.controller) return;
+
+    try {
+      this.controller.enqueue(bytes);
+    } catch (error) {
+      // Port closed while the reply was in flight
+    }
+  }
+
+  /**
+   * Decide whether this command should suffer an injected fault
+   */
+  pickFault() {
+    if (this.pendingFaults.length > 0) {
+      return this.pendingFaults.shift();
+    }
+
+    if (this.random() < this.faults.dropRate) return 'drop';
+    if (this.random() < this.faults.errorRate) return 'err';
+    if (this.random() < this.faults.ngRate) return 'ng';
+    if (this.random() < this.faults.garbleRate) return 'garble';
+    return null;
+  }
+
+  /**
+   * Execute a single protocol command against the in-memory radio
+   */
+  handleCommand(command) {
+    const [name, ...args] = command.split(',');
+    const handler = this.commandHandlers()[name];
+
+    if (!handler) {
+      return 'ERR';
+    }
+
+    if (handler.programMode && !this.programMode) {
+      return `${name},NG`;
+    }
+
+    if (handler.scanMode && this.programMode) {
+      return `${name},NG`;
+    }
+
+    const reply = handler.run(args);
+    return reply === null ? `${name},NG` : reply;
+  }
+
+  /**
+   * Command table. Handlers return the reply string, or null for NG.
+   * programMode handlers need program mode; scanMode handlers refuse it.
+   */
+  commandHandlers() {
+    return {
+      MDL: { run: () => `MDL,${this.model}` },
+      VER: { run: () => `VER,${this.firmware}` },
+      PRG: { run: () => { this.programMode = true; this.globalLockoutCursor = 0; return 'PRG,OK'; } },
+      EPG: { run: () => { this.programMode = false; return 'EPG,OK'; } },
+      GLG: { scanMode: true, run: () => this.handleReception() },
+      STS: { run: () => this.handleDisplay() },
+      KEY: { scanMode: true, run: (args) => this.handleKey(args) },
+      PWR: { scanMode: true, run: () => this.handleSignal() },
+      CIN: { programMode: true, run: (args) => this.handleChannel(args) },
+      DCH: { programMode: true, run: (args) => this.handleDeleteChannel(args) },
+      CLR: { programMode: true, run: () => { this.reset(); this.programMode = true; return 'CLR,OK'; } },
+      SCG: { programMode: true, run: (args) => this.handleMask('SCG', 'scanGroups', args) },
+      SSG: { programMode: true, run: (args) => this.handleMask('SSG', 'serviceSearchGroups', args) },
+      CSG: { programMode: true, run: (args) => this.handleMask('CSG', 'customSearchGroups', args) },
+      CSP: { programMode: true, run: (args) => this.handleCustomSearch(args) },
+      SCO: { programMode: true, run: (args) => this.handleSearchOptions(args) },
+      CLC: { programMode: true, run: (args) => this.handleCloseCall(args) },
+      GLF: { programMode: true, run: () => this.handleGetLockout() },
+      LOF: { programMode: true, run: (args) => this.handleLockout(args) },
+      ULF: { programMode: true, run: (args) => this.handleUnlock(args) },
+      BLT: { programMode: true, run: (args) => this.handleSetting('BLT', 'backlight', args, ['AO', 'AF', 'KY', 'SQ', 'KS']) },
+      BSV: { programMode: true, run: (args) => this.handleSetting('BSV', 'batteryCharge', args, this.range(1, 16)) },
+      CNT: { programMode: true, run: (args) => this.handleSetting('CNT', 'contrast', args, this.range(1, 15)) },
+      PRI: { programMode: true, run: (args) => this.handleSetting('PRI', 'priority', args, ['0', '1', '2', '3']) },
+      WXS: { programMode: true, run: (args) => this.handleSetting('WXS', 'weatherAlert', args, ['0', '1']) },
+      KBP: { programMode: true, run: (args) => this.handleKeyBeep(args) },
+      VOL: { run: (args) => this.handleSetting('VOL', 'volume', args, this.range(0, 15)) },
+      SQL: { run: (args) => this.handleSetting('SQL', 'squelch', args, this.range(0, 15)) }
+    };
+  }
+
+  /**
+   * GLG - report what the radio is receiving
+   */
+  handleReception() {
+    const hit = this.activeChannel() ? null : this.updateOffChannelHit();
+    if (hit) {
+      return `GLG,${this.padFrequency(hit.frequency)},${hit.modulation},0,${hit.ctcssDcs},,,,1,0,,,`;
+    }
+
+    if (this.searching) {
+      const frequency = this.searchFrequency();
+      const carrier = this.carrierAt(frequency);
+      const modulation = this.receivedModulation({ modulation: 'AUTO', frequency });
+      return `GLG,${this.padFrequency(frequency)},${modulation},0,0,,,,${carrier ? 1 : 0},0,,,`;
+    }
+
+    const active = this.updateActivity();
+    const channel = active || this.heldChannel();
+    if (!channel) {
+      return 'GLG,,,,,,,,,,,,';
+    }
+
+    return [
+      'GLG',
+      this.padFrequency(channel.frequency),
+      this.receivedModulation(channel),
+      0,
+      channel.ctcssDcs,
+      '',
+      '',
+      channel.name,
+      active ? 1 : 0,
+      0,
+      '',
+      channel.index,
+      ''
+    ].join(',');
+  }
+
+  /**
+   * STS - report the text on the radio's display
+   */
+  handleDisplay() {
+    const active = this.activeChannel();
+    const channel = active || this.heldChannel();
+    let lines;
+
+    const hit = this.activeOffChannelHit();
+
+    if (this.programMode) {
+      lines = ['', 'Remote Mode', '', ''];
+    } else if (hit) {
+      const fields = [this.searching ? 'SRCH' : 'CLOSE CALL', '', `${(hit.frequency / 10000).toFixed(4)} ${hit.modulation}`, '']
+        .flatMap(line => [line.padEnd(16), '']);
+      return ['STS', '0110', ...fields, 1, 0].join(',');
+    } else if (this.searching) {
+      const frequency = this.searchFrequency();
+      const modulation = this.receivedModulation({ modulation: 'AUTO', frequency });
+      const squelch = this.carrierAt(frequency) ? 1 : 0;
+      const fields = ['SRCH', '', `${(frequency / 10000).toFixed(4)} ${modulation}`, '']
+        .flatMap(line => [line.padEnd(16), '']);
+      return ['STS', '0110', ...fields, squelch, 0].join(',');
+    } else if (this.panelMessage && this.now() < this.panelMessage.until) {
+      lines = this.panelMessage.lines;
+    } else if (this.keyEntry !== null) {
+      lines = [`CH${this.keyEntry}_`, '', '', this.bankIndicator()];
+    } else if (channel) {
+      const frequency = channel.frequency > 0
+        ? `${(channel.frequency / 10000).toFixed(4)} ${this.receivedModulation(channel)}`
+        : '';
+      lines = [
+        `CH${String(channel.index).padStart(3, '0')}${this.hold ? ' HOLD' : ''}`,
+        channel.name,
+        frequency,
+        this.bankIndicator()
+      ];
+    } else {
+      lines = ['', 'SCAN', '', this.bankIndicator()];
+    }
+
+    const fields = lines.flatMap(line => [line.padEnd(16), '']);
+    return ['STS', '0110', ...fields, active ? 1 : 0, 0].join(',');
+  }
+
+  /**
+   * PWR - report signal strength (RSSI, 0-1023) and frequency
+   */
+  handleSignal() {
+    const hit = this.activeOffChannelHit();
+    if (hit) {
+      const rssi = Math.min(1023, this.signalLevel(hit) + Math.floor(this.random() * 40));
+      return `PWR,${rssi},${this.padFrequency(hit.frequency)}`;
+    }
+
+    if (this.searching) {
+      const frequency = this.searchFrequency();
+      const carrier = this.carrierAt(frequency);
+      const noise = Math.floor(this.random() * 40);
+      const rssi = carrier ? Math.min(1023, this.signalLevel(carrier) + noise) : noise;
+      return `PWR,${rssi},${this.padFrequency(frequency)}`;
+    }
+
+    const active = this.activeChannel();
+    const channel = active || this.heldChannel();
+    const noise = Math.floor(this.random() * 40);
+    const rssi = active ? Math.min(1023, this.signalLevel(channel) + noise) : noise;
+    return `PWR,${rssi},${this.padFrequency(channel ? channel.frequency : 0)}`;
+  }
+
+  /**
+   * Frequency a custom search is on. The emulated search does not sweep; it
+   * sits on the lower limit of the first enabled custom range.
+   */
+  searchFrequency() {
+    const index = [...this.customSearchGroups].findIndex(disabled => disabled === '0');
+    return index === -1 ? 0 : this.customSearchRanges[index][0];
+  }
+
+  /**
+   * Programmed channel or transmitter within 6.2 kHz of a frequency, if any.
+   * Each counts as an always-on carrier for searches.
+   */
+  carrierAt(frequency) {
+    return [...this.channels, ...this.transmitters].find(source => source.frequency > 0 &&
+      Math.abs(source.frequency - frequency) <= 62) || null;
+  }
+
+  /**
+   * Steady signal strength for a channel, so each station sounds different
+   */
+  signalLevel(channel) {
+    return 300 + (channel.frequency * 7919) % 600;
+  }
+
+  /**
+   * KEY - press a front panel key. Hold, Scan, Func+Srch (custom search),
+   * L/O, channel entry and the volume knob are simulated; other keys are
+   * accepted but do nothing.
+   */
+  handleKey(args) {
+    const [key, mode] = args;
+    if (!BC125ATEmulator.KEYS.includes(key) || !['P', 'L', 'H', 'R'].includes(mode)) return null;
+    if (mode !== 'P') return 'KEY,OK';
+
+    const func = this.funcPending;
+    this.funcPending = key === 'F' && !func;
+
+    if (/^[0-9]$/.test(key)) {
+      this.keyEntry = ((this.keyEntry || '') + key).slice(-3);
+    } else if (key === '.') {
+      this.keyEntry = null;
+    } else if (key === 'H' || key === 'E') {
+      this.holdChannel(key);
+    } else if (key === 'S') {
+      this.searching = func;
+      this.hold = null;
+      this.keyEntry = null;
+      this.activity = null;
+    } else if (key === 'L') {
+      this.toggleLockout();
+    } else if (key === '<' || key === '>') {
+      const volume = Math.min(15, Math.max(0, parseInt(this.settings.volume) + (key === '>' ? 1 : -1)));
+      this.settings.volume = String(volume);
+      this.showMessage(['', 'VOLUME', String(volume), '']);
+    }
+
+    return 'KEY,OK';
+  }
+
+  /**
+   * Hold or E/Yes: go to an entered channel number, otherwise Hold stops
+   * scanning on the current channel
+   */
+  holdChannel(key) {
+    if (this.keyEntry !== null) {
+      const index = parseInt(this.keyEntry);
+      this.keyEntry = null;
+      if (index >= 1 && index <= 500) {
+        this.hold = index;
+        this.activity = null;
+      }
+      return;
+    }
+
+    if (key === 'H' && !this.hold) {
+      const current = this.activeChannel() || this.channels.find(channel => this.isScannable(channel));
+      this.hold = current ? current.index : 1;
+    }
+  }
+
+  /**
+   * L/O: lock out or unlock the channel on the display
+   */
+  toggleLockout() {
+    const channel = this.activeChannel() || this.heldChannel();
+    if (!channel || channel.frequency === 0) return;
+
+    channel.lockout = channel.lockout ? 0 : 1;
+    if (!this.hold) {
+      // A locked out channel is skipped, so scanning moves on
+      this.activity = null;
+    }
+    this.showMessage([`CH${String(channel.index).padStart(3, '0')}`, channel.lockout ? 'Locked Out' : 'Unlocked', '', '']);
+  }
+
+  /**
+   * Show temporary text on the display, as the radio does after a key press
+   */
+  showMessage(lines) {
+    this.panelMessage = { lines, until: this.now() + 1500 };
+  }
+
+  /**
+   * Advance the simulated scan: stay on an active channel for a few seconds,
+   * otherwise occasionally stop on a random scannable channel (or get
+   * activity on the held channel)
+   */
+  updateActivity() {
+    const active = this.activeChannel();
+    if (active) return active;
+
+    this.activity = null;
+    const held = this.heldChannel();
+    const candidates = this.hold
+      ? [held].filter(channel => channel.frequency > 0)
+      : this.channels.filter(channel => this.isScannable(channel));
+    if (candidates.length === 0 || this.random() >= this.activityRate) {
+      return null;
+    }
+
+    const channel = candidates[Math.floor(this.random() * candidates.length)];
+    this.activity = { index: channel.index, until: this.now() + 1000 + this.random() * 4000 };
+    return channel;
+  }
+
+  /**
+   * Occasionally pick up one of the transmitters: in a custom search range
+   * while searching, or in an enabled Close Call band while scanning with
+   * Close Call on
+   */
+  updateOffChannelHit() {
+    const current = this.activeOffChannelHit();
+    if (current) return current;
+
+    this.offChannelHit = null;
+    let candidates = [];
+    if (this.searching) {
+      candidates = this.transmitters.filter(t => this.inCustomSearch(t.frequency));
+    } else if (this.closeCall.mode !== '0' && !this.hold) {
+      candidates = this.transmitters.filter(t => this.inCloseCallBand(t.frequency));
+    }
+    if (candidates.length === 0 || this.random() >= this.activityRate) {
+      return null;
+    }
+
+    const transmitter = candidates[Math.floor(this.random() * candidates.length)];
+    this.offChannelHit = { ...transmitter, until: this.now() + 1000 + this.random() * 4000 };
+    return this.offChannelHit;
+  }
+
+  /**
+   * Search or Close Call hit still being received, if any
+   */
+  activeOffChannelHit() {
+    if (this.programMode || !this.offChannelHit || this.now() >= this.offChannelHit.until) {
+      return null;
+    }
+    return this.offChannelHit;
+  }
+
+  /**
+   * Frequency lies in an enabled custom search range
+   */
+  inCustomSearch(frequency) {
+    return this.customSearchRanges.some(([lower, upper], i) =>
+      this.customSearchGroups[i] === '0' && frequency >= lower && frequency <= upper);
+  }
+
+  /**
+   * Frequency lies in an enabled Close Call band
+   */
+  inCloseCallBand(frequency) {
+    const bands = [[250000, 540000], [1080000, 1369999], [1370000, 1740000], [2250000, 3800000], [4000000, 5120000]];
+    return bands.some(([lower, upper], i) =>
+      this.closeCall.bands[i] === '1' && frequency >= lower && frequency <= upper);
+  }
+
+  /**
+   * Channel currently stopped on, if its activity has not ended
+   */
+  activeChannel() {
+    if (this.programMode || this.searching || !this.activity || this.now() >= this.activity.until) {
+      return null;
+    }
+    if (this.hold && this.activity.index !== this.hold) {
+      return null;
+    }
+    return this.channels[this.activity.index - 1];
+  }
+
+  /**
+   * Channel the radio is held on, if scanning is paused
+   */
+  heldChannel() {
+    return this.hold && !this.programMode && !this.searching ? this.channels[this.hold - 1] : null;
+  }
+
+  /**
+   * Channel holds a frequency, is not locked out and its bank is enabled
+   */
+  isScannable(channel) {
+    const bank = Math.floor((channel.index - 1) / 50);
+    return channel.frequency > 0 && !channel.lockout && this.scanGroups[bank] === '0';
+  }
+
+  /**
+   * Modulation heard on a channel, resolving AUTO by band
+   */
+  receivedModulation(channel) {
+    if (channel.modulation !== 'AUTO') return channel.modulation;
+    return channel.frequency >= 1080000 && channel.frequency < 1370000 ? 'AM' : 'NFM';
+  }
+
+  /**
+   * Bank row of the display: the bank digit when enabled, '-' when not
+   */
+  bankIndicator() {
+    return [...this.scanGroups].map((disabled, i) => disabled === '0' ? String((i + 1) % 10) : '-').join('');
+  }
+
+  /**
+   * CIN - read or write a channel
+   */
+  handleChannel(args) {
+    const index = parseInt(args[0]);
+    if (!(index >= 1 && index <= 500)) return null;
+
+    if (args.length === 1) {
+      return this.formatChannel(this.channels[index - 1]);
+    }
+
+    if (args.length !== 8) return null;
+
+    const [, name, freq, modulation, ctcssDcs, delay, lockout, priority] = args;
+    const frequency = parseInt(freq);
+
+    if (isNaN(frequency) || (frequency !== 0 && !this.isValidFrequency(frequency))) return null;
+    if (!['AUTO', 'AM', 'FM', 'NFM'].includes(modulation)) return null;
+    if (!this.isValidTone(parseInt(ctcssDcs))) return null;
+    if (!['-10', '-5', '0', '1', '2', '3', '4', '5'].includes(delay)) return null;
+    if (!['0', '1'].includes(lockout) || !['0', '1'].includes(priority)) return null;
+
+    if (frequency === 0) {
+      this.channels[index - 1] = this.createEmptyChannel(index);
+    } else {
+      // Like the radio, store long names truncated and off-step frequencies rounded
+      this.channels[index - 1] = {
+        index,
+        name: name.slice(0, 16),
+        frequency: this.snapFrequency(frequency),
+        modulation,
+        ctcssDcs: parseInt(ctcssDcs),
+        delay: parseInt(delay),
+        lockout: parseInt(lockout),
+        priority: parseInt(priority)
+      };
+    }
+
+    return 'CIN,OK';
+  }
+
+  /**
+   * DCH - delete a channel
+   */
+  handleDeleteChannel(args) {
+    const index = parseInt(args[0]);
+    if (!(index >= 1 && index <= 500)) return null;
+
+    this.channels[index - 1] = this.createEmptyChannel(index);
+    return 'DCH,OK';
+  }
+
+  /**
+   * SCG/SSG/CSG - ten digit enable masks (0 = enabled, 1 = disabled)
+   */
+  handleMask(name, key, args) {
+    if (args.length === 0) {
+      return `${name},${this[key]}`;
+    }
+
+    if (!/^[01]{10}$/.test(args[0])) return null;
+
+    this[key] = args[0];
+    return `${name},OK`;
+  }
+
+  /**
+   * CSP - custom search range limits
+   */
+  handleCustomSearch(args) {
+    const index = parseInt(args[0]);
+    if (!(index >= 1 && index <= 10)) return null;
+
+    if (args.length === 1) {
+      const [lower, upper] = this.customSearchRanges[index - 1];
+      return `CSP,${index},${this.padFrequency(lower)},${this.padFrequency(upper)}`;
+    }
+
+    const lower = parseInt(args[1]);
+    const upper = parseInt(args[2]);
+    if (!this.isValidFrequency(lower) || !this.isValidFrequency(upper) || lower > upper) return null;
+
+    this.customSearchRanges[index - 1] = [lower, upper];
+    return 'CSP,OK';
+  }
+
+  /**
+   * SCO - search/close call delay and CTCSS/DCS code search
+   */
+  handleSearchOptions(args) {
+    if (args.length === 0) {
+      return `SCO,${this.searchOptions.delay},${this.searchOptions.codeSearch}`;
+    }
+
+    if (!['-10', '-5', '0', '1', '2', '3', '4', '5'].includes(args[0])) return null;
+    if (!['0', '1'].includes(args[1])) return null;
+
+    this.searchOptions = { delay: args[0], codeSearch: args[1] };
+    return 'SCO,OK';
+  }
+
+  /**
+   * CLC - close call settings
+   */
+  handleCloseCall(args) {
+    const cc = this.closeCall;
+    if (args.length === 0) {
+      return `CLC,${cc.mode},${cc.alertBeep},${cc.alertLight},${cc.bands},${cc.lockout}`;
+    }
+
+    const [mode, alertBeep, alertLight, bands, lockout] = args;
+    if (!['0', '1', '2'].includes(mode)) return null;
+    if (!['0', '1'].includes(alertBeep) || !['0', '1'].includes(alertLight)) return null;
+    if (!/^[01]{5}$/.test(bands) || !['0', '1'].includes(lockout)) return null;
+
+    this.closeCall = { mode, alertBeep, alertLight, bands, lockout };
+    return 'CLC,OK';
+  }
+
+  /**
+   * GLF - walk the global lockout list, one frequency per call
+   */
+  handleGetLockout() {
+    if (this.globalLockoutCursor >= this.globalLockouts.length) {
+      this.globalLockoutCursor = 0;
+      return 'GLF,-1';
+    }
+
+    return `GLF,${this.padFrequency(this.globalLockouts[this.globalLockoutCursor++])}`;
+  }
+
+  /**
+   * LOF - add a frequency to the global lockout list
+   */
+  handleLockout(args) {
+    const frequency = parseInt(args[0]);
+    if (!this.isValidFrequency(frequency)) return null;
+
+    if (!this.globalLockouts.includes(frequency)) {
+      this.globalLockouts.push(frequency);
+    }
+    return 'LOF,OK';
+  }
+
+  /**
+   * ULF - remove a frequency from the global lockout list
+   */
+  handleUnlock(args) {
+    const position = this.globalLockouts.indexOf(parseInt(args[0]));
+    if (position === -1) return null;
+
+    this.globalLockouts.splice(position, 1);
+    this.globalLockoutCursor = 0;
+    return 'ULF,OK';
+  }
+
+  /**
+   * Generic single-value setting (BLT, BSV, CNT, PRI, WXS, VOL, SQL)
+   */
+  handleSetting(name, key, args, allowed) {
+    if (args.length === 0) {
+      return `${name},${this.settings[key]}`;
+    }
+
+    if (!allowed.includes(args[0])) return null;
+
+    this.settings[key] = args[0];
+    return `${name},OK`;
+  }
+
+  /**
+   * KBP - key beep level and key lock
+   */
+  handleKeyBeep(args) {
+    if (args.length === 0) {
+      return `KBP,${this.settings.keyBeep},${this.settings.keyLock}`;
+    }
+
+    if (!['0', '99'].includes(args[0]) || !['0', '1'].includes(args[1])) return null;
+
+    this.settings.keyBeep = args[0];
+    this.settings.keyLock = args[1];
+    return 'KBP,OK';
+  }
+
+  /**
+   * Format a stored channel as a CIN reply
+   */
+  formatChannel(channel) {
+    return [
+      'CIN',
+      channel.index,
+      channel.name,
+      this.padFrequency(channel.frequency),
+      channel.modulation,
+      channel.ctcssDcs,
+      channel.delay,
+      channel.lockout,
+      channel.priority
+    ].join(',');
+  }
+
+  /**
+   * Empty channel as the radio reports it after DCH
+   */
+  createEmptyChannel(index) {
+    return {
+      index,
+      name: '',
+      frequency: 0,
+      modulation: 'AUTO',
+      ctcssDcs: 0,
+      delay: 2,
+      lockout: 1,
+      priority: 0
+    };
+  }
+
+  /**
+   * Frequency (in 100 Hz units) falls inside the BC125AT's coverage
+   */
+  isValidFrequency(frequency) {
+    return (frequency >= 250000 && frequency <= 540000) ||
+      (frequency >= 1080000 && frequency <= 1740000) ||
+      (frequency >= 2250000 && frequency <= 3800000) ||
+      (frequency >= 4000000 && frequency <= 5120000);
+  }
+
+  /**
+   * Round a frequency (in 100 Hz units) to the nearest point on the 2.5,
+   * 6.25 or 8.33 kHz grids, which hold every channel step the radio uses
+   */
+  snapFrequency(frequency) {
+    const candidates = [25, 62.5, 250 / 3].map(step => Math.round(Math.round(frequency / step) * step));
+    return candidates.reduce((best, f) => Math.abs(f - frequency) < Math.abs(best - frequency) ? f : best);
+  }
+
+  /**
+   * CTCSS/DCS code is one the radio accepts
+   */
+  isValidTone(code) {
+    return code === 0 || code === 127 || code === 240 ||
+      (code >= 64 && code <= 113) || (code >= 128 && code <= 231);
+  }
+
+  /**
+   * Zero-pad a frequency to the radio's 8 digit format
+   */
+  padFrequency(frequency) {
+    return String(frequency).padStart(8, '0');
+  }
+
+  /**
+   * List of allowed numeric values as strings
+   */
+  range(min, max) {
+    const values = [];
+    for (let i = min; i <= max; i++) {
+      values.push(String(i));
+    }
+    return values;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = BC125ATEmulator;
+} else if (typeof window !== 'undefined') {
+  window.BC125ATEmulator = BC125ATEmulator;
+}
@@ -4,13 +4,124 @@
  * Implements the PC Programming Command protocol for the BC125AT Scanner
  */
 
+/**
+ * Base class for errors raised while talking to the scanner
+ */
+class BC125ATError extends Error {
+  constructor(message, command = null) {
+    super(message);
+    this.name = this.constructor.name;
+    this.command = command;
+  }
+}
+
+/**
+ * Scanner replied ERR (command not recognised)
+ */
+class BC125ATCommandError extends BC125ATError {}
+
+/**
+ * Scanner replied NG (command refused in the current mode or bad parameters)
+ */
+class BC125ATRejectedError extends BC125ATError {}
+
+/**
+ * Scanner did not reply within the command timeout
+ */
+class BC125ATTimeoutError extends BC125ATError {}
+
+/**
+ * Scanner reply was corrupted on the wire
+ */
+class BC125ATGarbledError extends BC125ATError {
+  constructor(message, command, response) {
+    super(message, command);
+    this.response = response;
+  }
+}
+
+/**
+ * Some channels could not be read; failures holds { index, error } for each
+ */
+class BC125ATChannelReadError extends BC125ATError {
+  constructor(message, failures) {
+    super(message, 'CIN');
+    this.failures = failures;
+  }
+}
+
 class BC125AT {
-  constructor() {
+  static BANK_COUNT = 10;
+  static MODULATIONS = ['AUTO', 'AM', 'FM', 'NFM'];
+  static DELAYS = [-10, -5, 0, 1, 2, 3, 4, 5];
+  static NAME_LENGTH = 16;
+  static CHANNELS_PER_BANK = 50;
+
+  // Close Call modes indexed by protocol value, and bands in CLC mask order
+  static CLOSE_CALL_MODES = ['OFF', 'PRIORITY', 'DND'];
+  static CLOSE_CALL_BANDS = [
+    { key: 'VHF_LOW', label: 'VHF Low (25-54 MHz)' },
+    { key: 'AIR', label: 'Air (108-137 MHz)' },
+    { key: 'VHF_HIGH', label: 'VHF High (137-174 MHz)' },
+    { key: 'UHF_MIL', label: 'Military UHF (225-380 MHz)' },
+    { key: 'UHF', label: 'UHF (400-512 MHz)' }
+  ];
+
+  // Service search groups in SSG mask order
+  static SERVICE_SEARCH_GROUPS = [
+    'Police', 'Fire/Emergency', 'HAM Radio', 'Marine', 'Railroad',
+    'Civil Air', 'Military Air', 'CB Radio', 'FRS/GMRS/MURS', 'Racing'
+  ];
+  static CUSTOM_SEARCH_COUNT = 10;
+
+  // System setting values as sent over the protocol
+  static BACKLIGHT_MODES = {
+    AO: 'Always on',
+    AF: 'Always off',
+    KY: 'On keypress',
+    SQ: 'On squelch open',
+    KS: 'On keypress and squelch open'
+  };
+  static PRIORITY_MODES = ['OFF', 'ON', 'PLUS', 'DND'];
+  static MAX_GLOBAL_LOCKOUTS = 500;
+  static MAX_RSSI = 1023;
+
+  // Receive coverage in MHz; the gaps between bands cannot be tuned
+  static FREQUENCY_BANDS = [
+    { lower: 25, upper: 54 },
+    { lower: 108, upper: 174 },
+    { lower: 225, upper: 380 },
+    { lower: 400, upper: 512 }
+  ];
+
+  // Front panel keys for the KEY command, by key code
+  static KEYS = {
+    M: 'Menu', F: 'Func', H: 'Hold', S: 'Scan/Srch', L: 'L/O',
+    1: '1', 2: '2', 3: '3', 4: '4', 5: '5', 6: '6', 7: '7', 8: '8', 9: '9', 0: '0',
+    '.': './No', E: 'E/Yes', '<': 'Knob left', '>': 'Knob right', '^': 'Knob push', P: 'Light'
+  };
+  // KEY modes: press, long press, hold down, release
+  static KEY_MODES = ['P', 'L', 'H', 'R'];
+
+  constructor(options = {}) {
     this.port = null;
     this.reader = null;
     this.writer = null;
     this.connected = false;
     this.programMode = false;
+    // Set while a GLF walk has left the scanner's lockout cursor mid-list
+    this.lockoutWalkBroken = false;
+
+    // Command layer settings: per-command timeout (ms), retry count, and how
+    // long the line must stay quiet (ms) before a retry is sent
+    this.timeout = options.timeout ?? 2000;
+    this.retries = options.retries ?? 2;
+    this.settleTime = options.settleTime ?? 100;
+
+    this.commandQueue = Promise.resolve();
+    this.pendingRead = null;
+    this.rxBuffer = '';
+    this.decoder = new TextDecoder();
     
     // CTCSS/DCS code mappings
     this.ctcssCodes = this.initializeCTCSS();
@@ -27,6 +138,9 @@ class BC125AT {
       
       this.reader = this.port.readable.getReader();
       this.writer = this.port.writable.getWriter();
+      this.commandQueue = Promise.resolve();
+      this.pendingRead = null;
+      this.rxBuffer = '';
       
       this.connected = true;
       return true;
@@ -69,37 +183,157 @@ class BC125AT {
 
   /**
    * Send a command and wait for response
+   * Commands are queued so only one is ever in flight on the port.
+   * @param {Object} options - optional { timeout, retries } overrides
    */
-  async sendCommand(command) {
+  async sendCommand(command, options = {}) {
+    const run = () => this.executeCommand(command, options);
+    const result = this.commandQueue.then(run, run);
+    this.commandQueue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Write a command and read its reply, retrying on timeouts and bad replies.
+   * Input left over from a failed attempt is discarded before the retry, so a
+   * late reply to that attempt cannot be taken as the answer to the next.
+   */
+  async executeCommand(command, options = {}) {
     if (!this.connected) {
-      throw new Error('Not connected to scanner');
+      throw new BC125ATError('Not connected to scanner', command);
     }
 
+    const timeout = options.timeout ?? this.timeout;
+    const retries = options.retries ?? this.retries;
     const commandBytes = new TextEncoder().encode(command + '\r');
-    await this.writer.write(commandBytes);
-    
-    return await this.readResponse();
+    let lastError;
+
+    for (let attempt = 0; attempt <= retries; attempt++) {
+      try {
+        if (attempt > 0) {
+          await this.discardInput();
+        }
+        await this.writer.write(commandBytes);
+        return await this.readReply(command, timeout);
+      } catch (error) {
+        if (!this.isRetryable(error)) {
+          throw error;
+        }
+        lastError = error;
+      }
+    }
+
+    throw lastError;
   }
 
   /**
-   * Read response from scanner
+   * Read lines until one answers the given command, then check it for errors
    */
-  async readResponse() {
-    let response = '';
-    
+  async readReply(command, timeout) {
+    const name = command.split(',')[0];
+    const deadline = Date.now() + timeout;
+
     while (true) {
-      const { value, done } = await this.reader.read();
-      if (done) break;
-      
-      const chunk = new TextDecoder().decode(value);
-      response += chunk;
-      
-      if (response.includes('\r')) {
-        break;
+      const response = await this.readResponse(Math.max(deadline - Date.now(), 0), command);
+
+      if (/[^\x20-\x7E]/.test(response)) {
+        throw new BC125ATGarbledError(`Garbled reply to ${name}`, command, response);
+      }
+
+      if (response === 'ERR') {
+        throw new BC125ATCommandError(`Scanner did not recognise ${name}`, command);
+      }
+
+      if (response === `${name},NG`) {
+        throw new BC125ATRejectedError(`Scanner rejected ${name}`, command);
+      }
+
+      // Queries echo their arguments (CIN,5 -> CIN,5,...), writes answer OK
+      if (response === `${name},OK` || response.startsWith(`${command},`)) {
+        return response;
       }
+
+      // Anything else is a late reply to an earlier, timed-out command
+    }
+  }
+
+  /**
+   * Read one line from scanner
+   */
+  async readResponse(timeout = this.timeout, command = null) {
+    const deadline = Date.now() + timeout;
+
+    while (true) {
+      const end = this.rxBuffer.indexOf('\r');
+      if (end !== -1) {
+        const line = this.rxBuffer.slice(0, end).trim();
+        this.rxBuffer = this.rxBuffer.slice(end + 1);
+        if (line) return line;
+        continue;
+      }
+
+      const remaining = deadline - Date.now();
+      const result = remaining > 0 ? await this.readChunk(remaining) : null;
+      if (!result) {
+        throw new BC125ATTimeoutError(`Scanner did not respond within ${timeout}ms`, command);
+      }
+
+      if (result.done) {
+        throw new BC125ATError('Serial port closed', command);
+      }
+
+      this.rxBuffer += this.decoder.decode(result.value, { stream: true });
+    }
+  }
+
+  /**
+   * Wait up to timeout ms for the next chunk from the reader.
+   * A read that outlives its timeout is kept and picked up by the next call,
+   * so no bytes are lost.
+   */
+  async readChunk(timeout) {
+    if (!this.pendingRead) {
+      this.pendingRead = this.reader.read();
+    }
+
+    let timer;
+    const expired = new Promise(resolve => {
+      timer = setTimeout(() => resolve(null), timeout);
+    });
+
+    try {
+      const result = await Promise.race([this.pendingRead, expired]);
+      if (result) {
+        this.pendingRead = null;
+      }
+      return result;
+    } catch (error) {
+      this.pendingRead = null;
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Throw away buffered input and anything that arrives until the line has
+   * been quiet for settleTime ms
+   */
+  async discardInput() {
+    this.rxBuffer = '';
+    let result;
+    while ((result = await this.readChunk(this.settleTime)) && !result.done) {
+      // Keep reading until nothing more arrives
     }
-    
-    return response.trim().replace(/\r$/, '');
+  }
+
+  /**
+   * Whether a failed command is worth sending again. ERR and NG are answers
+   * from the scanner, so sending the same command again gets the same reply.
+   */
+  isRetryable(error) {
+    return error instanceof BC125ATTimeoutError ||
+      error instanceof BC125ATGarbledError;
   }
 
   /**
@@ -110,6 +344,8 @@ class BC125AT {
       const response = await this.sendCommand('PRG');
       if (response === 'PRG,OK') {
         this.programMode = true;
+        // Entering program mode starts the lockout list from the top
+        this.lockoutWalkBroken = false;
         return true;
       }
       return false;
@@ -163,7 +399,11 @@ class BC125AT {
     }
 
     const response = await this.sendCommand(`CIN,${index}`);
-    return this.parseChannelResponse(response);
+    const channel = this.parseChannelResponse(response);
+    if (!channel) {
+      throw new BC125ATGarbledError(`Malformed reply to CIN,${index}`, `CIN,${index}`, response);
+    }
+    return channel;
   }
 
   /**
@@ -180,25 +420,38 @@ class BC125AT {
   }
 
   /**
-   * Get all channels (1-500)
+   * Get all channels (1-500). A channel the scanner rejects or garbles does
+   * not stop the read, but once every channel has been tried the failures
+   * are thrown together as a BC125ATChannelReadError.
    */
   async getAllChannels(progressCallback) {
     const channels = [];
+    const failures = [];
     
     for (let i = 1; i <= 500; i++) {
       try {
         const channel = await this.getChannelInfo(i);
         channels.push(channel);
-        
-        if (progressCallback) {
-          progressCallback(i, 500);
-        }
       } catch (error) {
+        // A dead link will fail every remaining channel too, so stop here
+        if (error instanceof BC125ATTimeoutError || !this.connected) {
+          throw error;
+        }
+
         console.error(`Failed to get channel ${i}:`, error);
-        // Add empty channel to maintain index consistency
-        channels.push(this.createEmptyChannel(i));
+        failures.push({ index: i, error });
+      }
+        
+      if (progressCallback) {
+        progressCallback(i, 500);
       }
     }
+
+    if (failures.length > 0) {
+      const indexes = failures.map(failure => failure.index).join(', ');
+      throw new BC125ATChannelReadError(
+        `Could not read channel${failures.length === 1 ? '' : 's'} ${indexes}`, failures);
+    }
     
     return channels;
   }
@@ -207,22 +460,71 @@ class BC125AT {
    * Program all channels to scanner
    */
   async programAllChannels(channels, progressCallback) {
-    let successCount = 0;
+    const written = await this.programChannels(channels.slice(0, 500), progressCallback);
+    return written.length;
+  }
+
+  /**
+   * Program a list of channels, clearing empty ones with DCH and writing the
+   * rest with CIN
+   * @returns {number[]} indexes of the channels the scanner accepted
+   */
+  async programChannels(channels, progressCallback) {
+    const written = [];
     
-    for (let i = 0; i < channels.length && i < 500; i++) {
+    for (let i = 0; i < channels.length; i++) {
+      const channel = channels[i];
       try {
-        const success = await this.setChannelInfo(channels[i]);
-        if (success) successCount++;
-        
-        if (progressCallback) {
-          progressCallback(i + 1, channels.length);
-        }
+        const success = this.isEmptyChannel(channel)
+          ? await this.deleteChannel(channel.index)
+          : await this.setChannelInfo(channel);
+        if (success) written.push(channel.index);
       } catch (error) {
-        console.error(`Failed to program channel ${i + 1}:`, error);
+        if (error instanceof BC125ATTimeoutError || !this.connected) {
+          throw error;
+        }
+
+        console.error(`Failed to program channel ${channel.index}:`, error);
+      }
+
+      if (progressCallback) {
+        progressCallback(i + 1, channels.length);
       }
     }
     
-    return successCount;
+    return written;
+  }
+
+  /**
+   * Read channels back and compare them with what was written
+   * @returns {Object[]} mismatches as { index, expected, actual, fields }; actual
+   * is null and error is set when a channel could not be read back
+   */
+  async verifyChannels(channels, progressCallback) {
+    const mismatches = [];
+
+    for (let i = 0; i < channels.length; i++) {
+      const expected = channels[i];
+      try {
+        const actual = await this.getChannelInfo(expected.index);
+        const fields = this.compareChannels(expected, actual);
+        if (fields.length > 0) {
+          mismatches.push({ index: expected.index, expected, actual, fields });
+        }
+      } catch (error) {
+        if (error instanceof BC125ATTimeoutError || !this.connected) {
+          throw error;
+        }
+
+        mismatches.push({ index: expected.index, expected, actual: null, fields: [], error: error.message });
+      }
+
+      if (progressCallback) {
+        progressCallback(i + 1, channels.length);
+      }
+    }
+
+    return mismatches;
   }
 
   /**
@@ -237,6 +539,687 @@ class BC125AT {
     return response === 'DCH,OK';
   }
 
+  /**
+   * Get the scan channel group enable mask (SCG)
+   * @returns {boolean[]} one entry per bank, true when enabled for scanning
+   */
+  async getScanChannelGroups() {
+    if (!this.programMode) {
+      throw new Error('Must be in program mode to access bank settings');
+    }
+
+    const response = await this.sendCommand('SCG');
+    return this.parseGroupMask(response, 'SCG');
+  }
+
+  /**
+   * Set the scan channel group enable mask (SCG)
+   * @param {boolean[]} enabled - one entry per bank, true to scan the bank
+   */
+  async setScanChannelGroups(enabled) {
+    if (!this.programMode) {
+      throw new Error('Must be in program mode to set bank settings');
+    }
+
+    const response = await this.sendCommand(`SCG,${this.formatGroupMask(enabled)}`);
+    return response === 'SCG,OK';
+  }
+
+  /**
+   * Get Close Call settings (CLC)
+   */
+  async getCloseCallSettings() {
+    if (!this.programMode) {
+      throw new Error('Must be in program mode to access Close Call settings');
+    }
+
+    const response = await this.sendCommand('CLC');
+    const parts = response.split(',');
+    if (parts.length < 6 || !/^[01]{5}$/.test(parts[4])) {
+      throw new BC125ATGarbledError('Malformed reply to CLC', 'CLC', response);
+    }
+
+    return {
+      mode: BC125AT.CLOSE_CALL_MODES[parseInt(parts[1])] || 'OFF',
+      alertBeep: parts[2] === '1',
+      alertLight: parts[3] === '1',
+      bands: parts[4].split('').map(digit => digit === '1'),
+      lockout: parts[5] === '1'
+    };
+  }
+
+  /**
+   * Set Close Call settings (CLC)
+   */
+  async setCloseCallSettings(settings) {
+    if (!this.programMode) {
+      throw new Error('Must be in program mode to set Close Call settings');
+    }
+
+    const mode = Math.max(BC125AT.CLOSE_CALL_MODES.indexOf(settings.mode), 0);
+    const alertBeep = settings.alertBeep ? 1 : 0;
+    const alertLight = settings.alertLight ? 1 : 0;
+    const bands = settings.bands.map(on => on ? '1' : '0').join('');
+    const lockout = settings.lockout ? 1 : 0;
+
+    const response = await this.sendCommand(`CLC,${mode},${alertBeep},${alertLight},${bands},${lockout}`);
+    return response === 'CLC,OK';
+  }
+
+  /**
+   * Get the service search group enable mask (SSG)
+   * @returns {boolean[]} one entry per service group, true when enabled
+   */
+  async getServiceSearchGroups() {
+    if (!this.programMode) {
+      throw new Error('Must be in program mode to access search settings');
+    }
+
+    const response = await this.sendCommand('SSG');
+    return this.parseGroupMask(response, 'SSG');
+  }
+
+  /**
+   * Set the service search group enable mask (SSG)
+   */
+  async setServiceSearchGroups(enabled) {
+    if (!this.programMode) {
+      throw new Error('Must be in program mode to set search settings');
+    }
+
+    const response = await this.sendCommand(`SSG,${this.formatGroupMask(enabled)}`);
+    return response === 'SSG,OK';
+  }
+
+  /**
+   * Get the custom search range enable mask (CSG)
+   * @returns {boolean[]} one entry per custom range, true when enabled
+   */
+  async getCustomSearchGroups() {
+    if (!this.programMode) {
+      throw new Error('Must be in program mode to access search settings');
+    }
+
+    const response = await this.sendCommand('CSG');
+    return this.parseGroupMask(response, 'CSG');
+  }
+
+  /**
+   * Set the custom search range enable mask (CSG)
+   */
+  async setCustomSearchGroups(enabled) {
+    if (!this.programMode) {
+      throw new Error('Must be in program mode to set search settings');
+    }
+
+    const response = await this.sendCommand(`CSG,${this.formatGroupMask(enabled)}`);
+    return response === 'CSG,OK';
+  }
+
+  /**
+   * Get the limits of a custom search range (CSP)
+   * @param {number} index - range number 1-10
+   * @returns {Object} { index, lower, upper } with limits in MHz
+   */
+  async getCustomSearchRange(index) {
+    if (!this.programMode) {
+      throw new Error('Must be in program mode to access search settings');
+    }
+
+    const response = await this.sendCommand(`CSP,${index}`);
+    const parts = response.split(',');
+    if (parts.length < 4) {
+      throw new BC125ATGarbledError(`Malformed reply to CSP,${index}`, `CSP,${index}`, response);
+    }
+
+    return {
+      index: parseInt(parts[1]),
+      lower: this.parseFrequency(parts[2]),
+      upper: this.parseFrequency(parts[3])
+    };
+  }
+
+  /**
+   * Set the limits of a custom search range (CSP)
+   */
+  async setCustomSearchRange(range) {
+    if (!this.programMode) {
+      throw new Error('Must be in program mode to set search settings');
+    }
+
+    const lower = this.formatFrequency(range.lower);
+    const upper = this.formatFrequency(range.upper);
+    const response = await this.sendCommand(`CSP,${range.index},${lower},${upper}`);
+    return response === 'CSP,OK';
+  }
+
+  /**
+   * Get search/Close Call delay and CTCSS/DCS code search (SCO)
+   */
+  async getSearchOptions() {
+    if (!this.programMode) {
+      throw new Error('Must be in program mode to access search settings');
+    }
+
+    const response = await this.sendCommand('SCO');
+    const parts = response.split(',');
+    if (parts.length < 3) {
+      throw new BC125ATGarbledError('Malformed reply to SCO', 'SCO', response);
+    }
+
+    return {
+      delay: parseInt(parts[1]),
+      codeSearch: parts[2] === '1'
+    };
+  }
+
+  /**
+   * Set search/Close Call delay and CTCSS/DCS code search (SCO)
+   */
+  async setSearchOptions(options) {
+    if (!this.programMode) {
+      throw new Error('Must be in program mode to set search settings');
+    }
+
+    const response = await this.sendCommand(`SCO,${options.delay},${options.codeSearch ? 1 : 0}`);
+    return response === 'SCO,OK';
+  }
+
+  /**
+   * Read every search setting: service groups, custom ranges and options
+   */
+  async getSearchSettings() {
+    const customRanges = [];
+    for (let i = 1; i <= BC125AT.CUSTOM_SEARCH_COUNT; i++) {
+      customRanges.push(await this.getCustomSearchRange(i));
+    }
+
+    const options = await this.getSearchOptions();
+    return {
+      serviceGroups: await this.getServiceSearchGroups(),
+      customGroups: await this.getCustomSearchGroups(),
+      customRanges,
+      delay: options.delay,
+      codeSearch: options.codeSearch
+    };
+  }
+
+  /**
+   * Write every search setting. Ranges are validated first and nothing is
+   * sent if any of them is invalid.
+   */
+  async setSearchSettings(settings) {
+    const invalid = settings.customRanges.find(range => this.validateSearchRange(range).length > 0);
+    if (invalid) {
+      throw new Error(`Custom search range ${invalid.index}: ${this.validateSearchRange(invalid).join(', ')}`);
+    }
+
+    for (const range of settings.customRanges) {
+      await this.setCustomSearchRange(range);
+    }
+
+    await this.setCustomSearchGroups(settings.customGroups);
+    await this.setServiceSearchGroups(settings.serviceGroups);
+    await this.setSearchOptions(settings);
+    return true;
+  }
+
+  /**
+   * Walk the global lockout list (GLF) until the scanner answers -1.
+   * If an earlier walk stopped partway, the scanner's cursor is somewhere in
+   * the list, so program mode is left and re-entered to start from the top.
+   * @returns {number[]} locked out frequencies in MHz
+   */
+  async getGlobalLockouts() {
+    if (!this.programMode) {
+      throw new Error('Must be in program mode to access lockouts');
+    }
+
+    if (this.lockoutWalkBroken) {
+      if (!await this.exitProgramMode() || !await this.enterProgramMode()) {
+        throw new BC125ATError('Could not restart the global lockout list', 'GLF');
+      }
+    }
+
+    // Marked broken until the walk reaches the end of the list
+    this.lockoutWalkBroken = true;
+    const frequencies = [];
+    while (frequencies.length <= BC125AT.MAX_GLOBAL_LOCKOUTS) {
+      // GLF advances a cursor in the scanner, so a retry would skip an entry
+      const response = await this.sendCommand('GLF', { retries: 0 });
+      const value = response.split(',')[1];
+      if (value === '-1') {
+        this.lockoutWalkBroken = false;
+        return frequencies;
+      }
+
+      if (!/^\d+$/.test(value || '')) {
+        throw new BC125ATGarbledError('Malformed reply to GLF', 'GLF', response);
+      }
+      frequencies.push(this.parseFrequency(value));
+    }
+
+    throw new BC125ATError('Global lockout list did not end', 'GLF');
+  }
+
+  /**
+   * Add a frequency to the global lockout list (LOF)
+   */
+  async lockOutFrequency(freqMHz) {
+    if (!this.programMode) {
+      throw new Error('Must be in program mode to set lockouts');
+    }
+
+    const response = await this.sendCommand(`LOF,${this.formatFrequency(freqMHz)}`);
+    return response === 'LOF,OK';
+  }
+
+  /**
+   * Remove a frequency from the global lockout list (ULF)
+   */
+  async unlockFrequency(freqMHz) {
+    if (!this.programMode) {
+      throw new Error('Must be in program mode to set lockouts');
+    }
+
+    const response = await this.sendCommand(`ULF,${this.formatFrequency(freqMHz)}`);
+    return response === 'ULF,OK';
+  }
+
+  /**
+   * Make the scanner's global lockout list match the given frequencies,
+   * sending ULF for extra entries and LOF for missing ones
+   * @returns {Object} { added, removed } frequency lists in MHz
+   */
+  async setGlobalLockouts(frequencies) {
+    const current = await this.getGlobalLockouts();
+    const wanted = new Set(frequencies.map(f => this.formatFrequency(f)));
+    const existing = new Set(current.map(f => this.formatFrequency(f)));
+
+    const removed = current.filter(f => !wanted.has(this.formatFrequency(f)));
+    const added = frequencies.filter(f => !existing.has(this.formatFrequency(f)));
+
+    for (const freq of removed) {
+      await this.unlockFrequency(freq);
+    }
+    for (const freq of added) {
+      await this.lockOutFrequency(freq);
+    }
+
+    return { added, removed };
+  }
+
+  /**
+   * Check a custom search range against the scanner's coverage
+   * @returns {string[]} problems found, empty when the range is valid
+   */
+  validateSearchRange(range) {
+    const errors = [];
+
+    if (!(range.lower > 0) || !(range.upper > 0)) {
+      errors.push('both limits are required');
+      return errors;
+    }
+
+    if (!this.isFrequencySupported(range.lower)) {
+      errors.push(`lower limit ${range.lower} MHz is outside the scanner's bands`);
+    }
+    if (!this.isFrequencySupported(range.upper)) {
+      errors.push(`upper limit ${range.upper} MHz is outside the scanner's bands`);
+    }
+    if (range.lower > range.upper) {
+      errors.push('lower limit is above upper limit');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Whether a frequency in MHz lies inside one of the scanner's bands
+   */
+  isFrequencySupported(freqMHz) {
+    return BC125AT.FREQUENCY_BANDS.some(band => freqMHz >= band.lower && freqMHz <= band.upper);
+  }
+
+  /**
+   * Get backlight mode (BLT): AO, AF, KY, SQ or KS
+   */
+  async getBacklight() {
+    const [mode] = await this.getSetting('BLT', true);
+    return mode;
+  }
+
+  /**
+   * Set backlight mode (BLT)
+   */
+  async setBacklight(mode) {
+    if (!(mode in BC125AT.BACKLIGHT_MODES)) {
+      throw new RangeError(`Invalid backlight mode: ${mode}`);
+    }
+    return this.setSetting('BLT', true, mode);
+  }
+
+  /**
+   * Get LCD contrast (CNT): 1-15
+   */
+  async getContrast() {
+    const [level] = await this.getSetting('CNT', true);
+    return parseInt(level);
+  }
+
+  /**
+   * Set LCD contrast (CNT)
+   */
+  async setContrast(level) {
+    return this.setSetting('CNT', true, this.checkLevel('contrast', level, 1, 15));
+  }
+
+  /**
+   * Get volume level (VOL): 0-15
+   */
+  async getVolume() {
+    const [level] = await this.getSetting('VOL', false);
+    return parseInt(level);
+  }
+
+  /**
+   * Set volume level (VOL)
+   */
+  async setVolume(level) {
+    return this.setSetting('VOL', false, this.checkLevel('volume', level, 0, 15));
+  }
+
+  /**
+   * Get squelch level (SQL): 0 (open) to 15 (tight)
+   */
+  async getSquelch() {
+    const [level] = await this.getSetting('SQL', false);
+    return parseInt(level);
+  }
+
+  /**
+   * Set squelch level (SQL)
+   */
+  async setSquelch(level) {
+    return this.setSetting('SQL', false, this.checkLevel('squelch', level, 0, 15));
+  }
+
+  /**
+   * Get key beep and key lock (KBP)
+   * @returns {Object} { beep, lock } - beep is false when set to OFF (99)
+   */
+  async getKeyBeep() {
+    const [level, lock] = await this.getSetting('KBP', true);
+    return { beep: level !== '99', lock: lock === '1' };
+  }
+
+  /**
+   * Set key beep and key lock (KBP)
+   */
+  async setKeyBeep({ beep, lock }) {
+    return this.setSetting('KBP', true, beep ? 0 : 99, lock ? 1 : 0);
+  }
+
+  /**
+   * Get battery charge time in hours (BSV): 1-16
+   */
+  async getBatteryChargeTime() {
+    const [hours] = await this.getSetting('BSV', true);
+    return parseInt(hours);
+  }
+
+  /**
+   * Set battery charge time in hours (BSV)
+   */
+  async setBatteryChargeTime(hours) {
+    return this.setSetting('BSV', true, this.checkLevel('battery charge time', hours, 1, 16));
+  }
+
+  /**
+   * Get priority mode (PRI): OFF, ON, PLUS or DND
+   */
+  async getPriorityMode() {
+    const [mode] = await this.getSetting('PRI', true);
+    return BC125AT.PRIORITY_MODES[parseInt(mode)] || 'OFF';
+  }
+
+  /**
+   * Set priority mode (PRI)
+   */
+  async setPriorityMode(mode) {
+    const value = BC125AT.PRIORITY_MODES.indexOf(mode);
+    if (value === -1) {
+      throw new RangeError(`Invalid priority mode: ${mode}`);
+    }
+    return this.setSetting('PRI', true, value);
+  }
+
+  /**
+   * Get weather alert priority (WXS)
+   */
+  async getWeatherAlert() {
+    const [enabled] = await this.getSetting('WXS', true);
+    return enabled === '1';
+  }
+
+  /**
+   * Set weather alert priority (WXS)
+   */
+  async setWeatherAlert(enabled) {
+    return this.setSetting('WXS', true, enabled ? 1 : 0);
+  }
+
+  /**
+   * Read every system setting
+   */
+  async getSystemSettings() {
+    const keyBeep = await this.getKeyBeep();
+
+    return {
+      backlight: await this.getBacklight(),
+      contrast: await this.getContrast(),
+      volume: await this.getVolume(),
+      squelch: await this.getSquelch(),
+      keyBeep: keyBeep.beep,
+      keyLock: keyBeep.lock,
+      batteryCharge: await this.getBatteryChargeTime(),
+      priority: await this.getPriorityMode(),
+      weatherAlert: await this.getWeatherAlert()
+    };
+  }
+
+  /**
+   * Write the system settings present in changes; other settings are left alone
+   * @param {Object} changes - subset of the object returned by getSystemSettings()
+   * @param {Object} current - full settings, used to fill in the other half of KBP
+   */
+  async setSystemSettings(changes, current = changes) {
+    if ('backlight' in changes) await this.setBacklight(changes.backlight);
+    if ('contrast' in changes) await this.setContrast(changes.contrast);
+    if ('volume' in changes) await this.setVolume(changes.volume);
+    if ('squelch' in changes) await this.setSquelch(changes.squelch);
+    if ('keyBeep' in changes || 'keyLock' in changes) {
+      await this.setKeyBeep({
+        beep: changes.keyBeep ?? current.keyBeep,
+        lock: changes.keyLock ?? current.keyLock
+      });
+    }
+    if ('batteryCharge' in changes) await this.setBatteryChargeTime(changes.batteryCharge);
+    if ('priority' in changes) await this.setPriorityMode(changes.priority);
+    if ('weatherAlert' in changes) await this.setWeatherAlert(changes.weatherAlert);
+    return true;
+  }
+
+  /**
+   * Get Reception Status (GLG)
+   * Only answered while scanning, i.e. outside program mode
+   * @returns {Object} { receiving, squelch, mute, frequency, modulation, ctcssDcs, name, channel }
+   */
+  async getReceptionStatus() {
+    if (this.programMode) {
+      throw new Error('Must exit program mode to read reception status');
+    }
+
+    const response = await this.sendCommand('GLG');
+    const parts = response.split(',');
+    if (parts.length < 13) {
+      throw new BC125ATGarbledError('Malformed reply to GLG', 'GLG', response);
+    }
+
+    const [, freq, modulation, , ctcssDcs, , , name, squelch, mute, , channel] = parts;
+    return {
+      receiving: freq !== '',
+      squelch: squelch === '1',
+      mute: mute === '1',
+      frequency: freq ? this.parseFrequency(freq) : 0,
+      modulation: modulation || null,
+      ctcssDcs: parseInt(ctcssDcs) || 0,
+      name: name || '',
+      channel: channel ? parseInt(channel) : null
+    };
+  }
+
+  /**
+   * Get Signal Strength (PWR)
+   * Only answered while scanning, i.e. outside program mode
+   * @returns {Object} { rssi, frequency } with rssi from 0 to BC125AT.MAX_RSSI
+   * and frequency in MHz (0 when not on a frequency)
+   */
+  async getSignalStrength() {
+    if (this.programMode) {
+      throw new Error('Must exit program mode to read signal strength');
+    }
+
+    const response = await this.sendCommand('PWR');
+    const [, rssi, freq] = response.split(',');
+    if (!/^\d+$/.test(rssi || '') || !/^\d+$/.test(freq || '')) {
+      throw new BC125ATGarbledError('Malformed reply to PWR', 'PWR', response);
+    }
+
+    return {
+      rssi: parseInt(rssi),
+      frequency: this.parseFrequency(freq)
+    };
+  }
+
+  /**
+   * Get Display Status (STS)
+   * @returns {Object} { lines, squelch, mute } where lines is the text of
+   * each display row
+   */
+  async getDisplayStatus() {
+    const response = await this.sendCommand('STS');
+    const parts = response.split(',');
+    const lineCount = (parts[1] || '').length;
+    if (lineCount === 0 || parts.length < 4 + lineCount * 2) {
+      throw new BC125ATGarbledError('Malformed reply to STS', 'STS', response);
+    }
+
+    const lines = [];
+    for (let i = 0; i < lineCount; i++) {
+      lines.push(parts[2 + i * 2]);
+    }
+
+    return {
+      lines,
+      squelch: parts[2 + lineCount * 2] === '1',
+      mute: parts[3 + lineCount * 2] === '1'
+    };
+  }
+
+  /**
+   * Press a front panel key (KEY). Only works outside program mode.
+   * Not retried, since a repeated key press would act twice.
+   * @param {string} key - a code from BC125AT.KEYS
+   * @param {string} mode - a code from BC125AT.KEY_MODES
+   */
+  async pressKey(key, mode = 'P') {
+    if (this.programMode) {
+      throw new Error('Must exit program mode to press keys');
+    }
+    if (!(key in BC125AT.KEYS)) {
+      throw new RangeError(`Invalid key: ${key}`);
+    }
+    if (!BC125AT.KEY_MODES.includes(mode)) {
+      throw new RangeError(`Invalid key mode: ${mode}`);
+    }
+
+    const response = await this.sendCommand(`KEY,${key},${mode}`, { retries: 0 });
+    return response === 'KEY,OK';
+  }
+
+  /**
+   * Query a single setting command and return its values
+   */
+  async getSetting(command, needsProgramMode) {
+    if (needsProgramMode && !this.programMode) {
+      throw new Error(`Must be in program mode to access ${command}`);
+    }
+
+    const response = await this.sendCommand(command);
+    const values = response.split(',').slice(1);
+    if (values.length === 0 || values[0] === '') {
+      throw new BC125ATGarbledError(`Malformed reply to ${command}`, command, response);
+    }
+    return values;
+  }
+
+  /**
+   * Send a setting command with its values
+   */
+  async setSetting(command, needsProgramMode, ...values) {
+    if (needsProgramMode && !this.programMode) {
+      throw new Error(`Must be in program mode to set ${command}`);
+    }
+
+    const response = await this.sendCommand([command, ...values].join(','));
+    return response === `${command},OK`;
+  }
+
+  /**
+   * Check a numeric setting is a whole number within range
+   */
+  checkLevel(name, value, min, max) {
+    if (!Number.isInteger(value) || value < min || value > max) {
+      throw new RangeError(`Invalid ${name}: ${value} (must be ${min}-${max})`);
+    }
+    return value;
+  }
+
+  /**
+   * Parse a ten digit group mask reply (0 = enabled, 1 = disabled)
+   */
+  parseGroupMask(response, command) {
+    const mask = response.split(',')[1] || '';
+    if (!/^[01]{10}$/.test(mask)) {
+      throw new BC125ATGarbledError(`Malformed reply to ${command}`, command, response);
+    }
+
+    return mask.split('').map(digit => digit === '0');
+  }
+
+  /**
+   * Format a group mask for the scanner (0 = enabled, 1 = disabled)
+   */
+  formatGroupMask(enabled) {
+    return enabled.map(on => on ? '0' : '1').join('');
+  }
+
+  /**
+   * Get the bank (1-10) a channel belongs to
+   */
+  getBankForChannel(index) {
+    return Math.ceil(index / BC125AT.CHANNELS_PER_BANK);
+  }
+
+  /**
+   * Get the first and last channel numbers of a bank
+   */
+  getBankChannelRange(bank) {
+    const first = (bank - 1) * BC125AT.CHANNELS_PER_BANK + 1;
+    return { first, last: first + BC125AT.CHANNELS_PER_BANK - 1 };
+  }
+
   /**
    * Parse channel response from scanner
    */
@@ -285,6 +1268,40 @@ class BC125AT {
     return Math.round(freqMHz * 10000);
   }
 
+  /**
+   * Whether a channel holds nothing worth programming
+   */
+  isEmptyChannel(channel) {
+    return !channel.name && !(channel.frequency > 0);
+  }
+
+  /**
+   * Whether two channels would be stored identically by the scanner
+   */
+  isSameChannel(a, b) {
+    return a.index === b.index && this.compareChannels(a, b).length === 0;
+  }
+
+  /**
+   * Compare two channels as the scanner stores them
+   * @returns {string[]} names of the fields that differ
+   */
+  compareChannels(a, b) {
+    if (this.isEmptyChannel(a) && this.isEmptyChannel(b)) {
+      return [];
+    }
+
+    const fields = [];
+    if ((a.name || '') !== (b.name || '')) fields.push('name');
+    if (this.formatFrequency(a.frequency) !== this.formatFrequency(b.frequency)) fields.push('frequency');
+    if (a.modulation !== b.modulation) fields.push('modulation');
+    if ((a.ctcssDcs || 0) !== (b.ctcssDcs || 0)) fields.push('ctcssDcs');
+    if ((a.delay || 0) !== (b.delay || 0)) fields.push('delay');
+    if (!!a.lockout !== !!b.lockout) fields.push('lockout');
+    if (!!a.priority !== !!b.priority) fields.push('priority');
+    return fields;
+  }
+
   /**
    * Create empty channel structure
    */
@@ -301,6 +1318,37 @@ class BC125AT {
     };
   }
 
+  /**
+   * Create Close Call settings matching the scanner's factory defaults
+   */
+  createDefaultCloseCallSettings() {
+    return {
+      mode: 'OFF',
+      alertBeep: true,
+      alertLight: true,
+      bands: BC125AT.CLOSE_CALL_BANDS.map(() => true),
+      lockout: false
+    };
+  }
+
+  /**
+   * Create search settings matching the scanner's factory defaults
+   */
+  createDefaultSearchSettings() {
+    const limits = [
+      [25, 27.995], [28, 54], [108, 136.9916], [137, 143.995], [144, 147.995],
+      [148, 150.795], [150.8, 161.995], [162, 174], [225, 380], [400, 512]
+    ];
+
+    return {
+      serviceGroups: BC125AT.SERVICE_SEARCH_GROUPS.map(() => true),
+      customGroups: limits.map(() => true),
+      customRanges: limits.map(([lower, upper], i) => ({ index: i + 1, lower, upper })),
+      delay: 2,
+      codeSearch: false
+    };
+  }
+
   /**
    * Get CTCSS frequency by code
    */
@@ -315,6 +1363,59 @@ class BC125AT {
     return this.dcsCodes[code] || null;
   }
 
+  /**
+   * Get the CTCSS/DCS code for a CTCSS frequency in Hz, or null if the
+   * scanner cannot decode it
+   */
+  findCTCSSCode(frequency) {
+    const entry = Object.entries(this.ctcssCodes).find(([, f]) => Math.abs(f - frequency) < 0.05);
+    return entry ? parseInt(entry[0]) : null;
+  }
+
+  /**
+   * Get the CTCSS/DCS code for a DCS code such as '023', or null if the
+   * scanner cannot decode it
+   */
+  findDCSCode(dcs) {
+    const padded = String(dcs).padStart(3, '0');
+    const entry = Object.entries(this.dcsCodes).find(([, d]) => d === padded);
+    return entry ? parseInt(entry[0]) : null;
+  }
+
+  /**
+   * Get CTCSS/DCS text for files, e.g. 'CTCSS 67.0Hz' or 'DCS 023'.
+   * parseToneText() reads it back to the same code.
+   */
+  formatToneText(code) {
+    const ctcss = this.getCTCSSFrequency(code);
+    if (ctcss) return `CTCSS ${ctcss.toFixed(1)}Hz`;
+    
+    const dcs = this.getDCSCode(code);
+    if (dcs) return `DCS ${dcs}`;
+    
+    return this.getCTCSSDCSText(code);
+  }
+
+  /**
+   * Get the CTCSS/DCS code for file text written by formatToneText(), or by
+   * the display text of older exports ('67.0Hz'). Blank means no tone.
+   * @returns {number|null} the code, or null if the text is not a tone
+   */
+  parseToneText(text) {
+    const tone = (text || '').trim().toUpperCase();
+    if (tone === '' || tone === 'NONE') return 0;
+    if (tone === 'SEARCH') return 127;
+    if (tone === 'NO_TONE') return 240;
+    
+    const ctcss = tone.match(/^(?:CTCSS\s*)?(\d{2,3}(?:\.\d)?)\s*HZ$/);
+    if (ctcss) return this.findCTCSSCode(parseFloat(ctcss[1]));
+    
+    const dcs = tone.match(/^DCS\s*(\d{3})$/);
+    if (dcs) return this.findDCSCode(dcs[1]);
+    
+    return null;
+  }
+
   /**
    * Get CTCSS/DCS display text
    */
@@ -378,6 +1479,22 @@ class BC125AT {
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = BC125AT;
+  Object.assign(module.exports, {
+    BC125ATError,
+    BC125ATCommandError,
+    BC125ATRejectedError,
+    BC125ATTimeoutError,
+    BC125ATGarbledError,
+    BC125ATChannelReadError
+  });
 } else if (typeof window !== 'undefined') {
   window.BC125AT = BC125AT;
+  Object.assign(window, {
+    BC125ATError,
+    BC125ATCommandError,
+    BC125ATRejectedError,
+    BC125ATTimeoutError,
+    BC125ATGarbledError,
+    BC125ATChannelReadError
+  });
 }
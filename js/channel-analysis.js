@@ -0,0 +1,156 @@
+/**
+ * Channel Analysis
+ * Finds channels that repeat or contradict each other: the same frequency
+ * programmed more than once, repeated names, and banks with more than one
+ * priority channel. Results are groups of channel numbers for the app to
+ * show and act on.
+ */
+
+class ChannelAnalysis {
+  // Frequencies closer than this (kHz) count as the same by default
+  static DEFAULT_TOLERANCE = 2.5;
+
+  static GROUP_LABELS = {
+    frequency: 'Same frequency',
+    tone: 'Same frequency, different tones',
+    name: 'Same name',
+    priority: 'More than one priority channel in a bank'
+  };
+
+  /**
+   * Find every kind of group
+   * @param {BC125AT} scanner - used to tell empty channels and bank ranges
+   * @param {number} tolerance - kHz within which frequencies are the same
+   * @returns {Object[]} groups as { type, label, indexes }
+   */
+  static analyze(scanner, channels, tolerance = ChannelAnalysis.DEFAULT_TOLERANCE) {
+    const used = channels.filter(channel => !scanner.isEmptyChannel(channel));
+    return [
+      ...ChannelAnalysis.findDuplicateFrequencies(used, tolerance),
+      ...ChannelAnalysis.findDuplicateNames(used),
+      ...ChannelAnalysis.findPriorityConflicts(scanner, used)
+    ];
+  }
+
+  /**
+   * Channels within the tolerance of each other. Every cluster is reported
+   * as one group, whatever the channels' names and tones. Channels in it that
+   * match in name and modulation but not in tone may be several users of one
+   * frequency and are also reported on their own.
+   */
+  static findDuplicateFrequencies(channels, tolerance) {
+    const sorted = channels.filter(channel => channel.frequency > 0)
+      .sort((a, b) => a.frequency - b.frequency || a.index - b.index);
+    const groups = [];
+
+    let cluster = [];
+    const close = () => {
+      if (cluster.length > 1) {
+        groups.push(...ChannelAnalysis.splitCluster(cluster));
+      }
+    };
+    sorted.forEach(channel => {
+      // Measure from the first channel so a chain of close frequencies
+      // does not drift into one large group
+      if (cluster.length > 0 && (channel.frequency - cluster[0].frequency) * 1000 > tolerance + 1e-9) {
+        close();
+        cluster = [];
+      }
+      cluster.push(channel);
+    });
+    close();
+
+    return groups;
+  }
+
+  /**
+   * Groups within one cluster of close frequencies: a 'frequency' group of
+   * the whole cluster, and a 'tone' group per name and modulation found with
+   * more than one tone
+   */
+  static splitCluster(cluster) {
+    const byNameAndModulation = new Map();
+    cluster.forEach(channel => {
+      const key = `${(channel.name || '').trim().toUpperCase()}\n${channel.modulation}`;
+      if (!byNameAndModulation.has(key)) byNameAndModulation.set(key, []);
+      byNameAndModulation.get(key).push(channel);
+    });
+
+    const toneVariants = [...byNameAndModulation.values()]
+      .filter(group => new Set(group.map(channel => channel.ctcssDcs)).size > 1)
+      .map(group => ChannelAnalysis.createGroup('tone', group));
+
+    return [ChannelAnalysis.createGroup('frequency', cluster), ...toneVariants];
+  }
+
+  /**
+   * Channels sharing a name, ignoring case and surrounding spaces
+   */
+  static findDuplicateNames(channels) {
+    const byName = new Map();
+    channels.forEach(channel => {
+      const name = (channel.name || '').trim().toUpperCase();
+      if (!name) return;
+      if (!byName.has(name)) byName.set(name, []);
+      byName.get(name).push(channel);
+    });
+
+    return [...byName.values()]
+      .filter(group => group.length > 1)
+      .map(group => ChannelAnalysis.createGroup('name', group));
+  }
+
+  /**
+   * Banks with more than one priority channel; the scanner has one
+   * priority channel per bank
+   */
+  static findPriorityConflicts(scanner, channels) {
+    const groups = [];
+    for (let bank = 1; bank <= BC125AT.BANK_COUNT; bank++) {
+      const { first, last } = scanner.getBankChannelRange(bank);
+      const priority = channels.filter(channel =>
+        channel.priority && channel.index >= first && channel.index <= last);
+      if (priority.length > 1) {
+        groups.push({ ...ChannelAnalysis.createGroup('priority', priority), bank });
+      }
+    }
+    return groups;
+  }
+
+  static createGroup(type, channels) {
+    return {
+      type,
+      label: ChannelAnalysis.GROUP_LABELS[type],
+      indexes: channels.map(channel => channel.index).sort((a, b) => a - b)
+    };
+  }
+
+  /**
+   * Combine a group into the channel to keep, filling settings it lacks
+   * from the others: a name, a modulation other than AUTO and a tone. It is
+   * locked out only if all of them were, and priority if any was.
+   * @param {Object} keep - the channel that stays
+   * @param {Object[]} others - channels merged into it
+   * @returns {Object} the merged channel, in keep's slot
+   */
+  static merge(keep, others) {
+    const all = [keep, ...others];
+    const first = (test, field) => (all.find(test) || keep)[field];
+
+    return {
+      ...keep,
+      name: first(channel => channel.name, 'name') || '',
+      modulation: first(channel => channel.modulation && channel.modulation !== 'AUTO', 'modulation'),
+      ctcssDcs: first(channel => channel.ctcssDcs !== 0, 'ctcssDcs'),
+      lockout: all.every(channel => channel.lockout),
+      priority: all.some(channel => channel.priority)
+    };
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ChannelAnalysis;
+} else if (typeof window !== 'undefined') {
+  window.ChannelAnalysis = ChannelAnalysis;
+}
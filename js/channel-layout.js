@@ -0,0 +1,164 @@
+/**
+ * Channel Layout
+ * Rearranges channels between memory slots: move, swap, insert with
+ * shift-down, and compacting or sorting a bank. A channel's slot is its
+ * index, so every operation rewrites index on the channels it moves and
+ * returns a new list with exactly one channel per slot, in slot order.
+ */
+
+class ChannelLayout {
+  // Settings that belong to a channel rather than to its slot
+  static FIELDS = ['name', 'frequency', 'modulation', 'ctcssDcs', 'delay', 'lockout', 'priority'];
+
+  /**
+   * Copy of a channel's settings stored in another slot
+   */
+  static place(channel, index) {
+    const placed = { index };
+    ChannelLayout.FIELDS.forEach(field => {
+      placed[field] = channel[field];
+    });
+    return placed;
+  }
+
+  /**
+   * Channel list as an array indexed by slot, for rearranging
+   */
+  static toSlots(channels) {
+    const slots = [];
+    channels.forEach(channel => {
+      slots[channel.index] = channel;
+    });
+    return slots;
+  }
+
+  /**
+   * Rebuild a channel list from slots, renumbering every channel
+   */
+  static fromSlots(slots) {
+    const channels = [];
+    slots.forEach((channel, index) => {
+      if (channel) channels.push(ChannelLayout.place(channel, index));
+    });
+    return channels;
+  }
+
+  /**
+   * Check that a slot exists in the list
+   * @throws {Error} if it does not
+   */
+  static checkSlot(slots, index) {
+    if (!Number.isInteger(index) || !slots[index]) {
+      throw new Error(`There is no channel ${index}`);
+    }
+  }
+
+  /**
+   * Move a channel into an empty slot, leaving its old slot empty
+   * @throws {Error} if the target slot is in use
+   */
+  static move(scanner, channels, from, to) {
+    const slots = ChannelLayout.toSlots(channels);
+    ChannelLayout.checkSlot(slots, from);
+    ChannelLayout.checkSlot(slots, to);
+    if (from === to) return ChannelLayout.fromSlots(slots);
+    if (!scanner.isEmptyChannel(slots[to])) {
+      throw new Error(`Channel ${to} is in use; swap or insert instead`);
+    }
+
+    slots[to] = slots[from];
+    slots[from] = scanner.createEmptyChannel(from);
+    return ChannelLayout.fromSlots(slots);
+  }
+
+  /**
+   * Exchange the contents of two slots
+   */
+  static swap(channels, a, b) {
+    const slots = ChannelLayout.toSlots(channels);
+    ChannelLayout.checkSlot(slots, a);
+    ChannelLayout.checkSlot(slots, b);
+
+    [slots[a], slots[b]] = [slots[b], slots[a]];
+    return ChannelLayout.fromSlots(slots);
+  }
+
+  /**
+   * Put a channel into a slot, shifting the channels from that slot down
+   * by one as far as the next empty slot in the same bank
+   * @param {number|null} from - channel to insert, or null for an empty slot
+   * @throws {Error} if the bank has no empty slot below the target to shift into
+   */
+  static insert(scanner, channels, from, to) {
+    const slots = ChannelLayout.toSlots(channels);
+    ChannelLayout.checkSlot(slots, to);
+
+    let channel = scanner.createEmptyChannel(to);
+    if (from !== null) {
+      ChannelLayout.checkSlot(slots, from);
+      if (from === to) return ChannelLayout.fromSlots(slots);
+      channel = slots[from];
+      slots[from] = scanner.createEmptyChannel(from);
+    }
+
+    const bank = Math.ceil(to / BC125AT.CHANNELS_PER_BANK);
+    const { last } = scanner.getBankChannelRange(bank);
+    let gap = to;
+    while (gap <= last && !scanner.isEmptyChannel(slots[gap])) {
+      gap++;
+    }
+    if (gap > last) {
+      throw new Error(`Bank ${bank} has no empty channel after ${to} to shift into`);
+    }
+
+    for (let index = gap; index > to; index--) {
+      slots[index] = slots[index - 1];
+    }
+    slots[to] = channel;
+    return ChannelLayout.fromSlots(slots);
+  }
+
+  /**
+   * Rearrange the channels of a bank, packing them at the top
+   * @param {Function} compare - sort order, or null to keep the current order
+   */
+  static arrangeBank(scanner, channels, bank, compare = null) {
+    const slots = ChannelLayout.toSlots(channels);
+    const { first, last } = scanner.getBankChannelRange(bank);
+
+    const used = slots.slice(first, last + 1).filter(channel => channel && !scanner.isEmptyChannel(channel));
+    if (compare) used.sort(compare);
+
+    for (let index = first; index <= last; index++) {
+      const channel = used[index - first];
+      slots[index] = channel || scanner.createEmptyChannel(index);
+    }
+    return ChannelLayout.fromSlots(slots);
+  }
+
+  /**
+   * Remove the gaps in a bank, keeping channels in their current order
+   */
+  static compactBank(scanner, channels, bank) {
+    return ChannelLayout.arrangeBank(scanner, channels, bank);
+  }
+
+  /**
+   * Sort a bank by frequency or name, packing it at the top. Ties keep
+   * their current order.
+   * @param {string} key - 'frequency' or 'name'
+   */
+  static sortBank(scanner, channels, bank, key) {
+    const compare = key === 'name'
+      ? (a, b) => (a.name || '').localeCompare(b.name || '') || a.frequency - b.frequency
+      : (a, b) => a.frequency - b.frequency;
+    return ChannelLayout.arrangeBank(scanner, channels, bank, compare);
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ChannelLayout;
+} else if (typeof window !== 'undefined') {
+  window.ChannelLayout = ChannelLayout;
+}
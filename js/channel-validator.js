@@ -0,0 +1,113 @@
+/**
+ * Channel Validation
+ * Checks channel settings against what the BC125AT can store and display,
+ * so problems show up while editing rather than as a rejected CIN command
+ * halfway through programming. Errors are settings the scanner will refuse;
+ * warnings are settings it accepts but changes or that are probably mistakes.
+ */
+
+class ChannelValidator {
+  // Table column for each checked channel property, for reports
+  static FIELD_LABELS = {
+    name: 'Name',
+    frequency: 'Frequency',
+    modulation: 'Modulation',
+    ctcssDcs: 'CTCSS/DCS',
+    delay: 'Delay'
+  };
+
+  // Characters the display can show; a comma would also split the CIN command
+  static NAME_PATTERN = /^[\x20-\x2B\x2D-\x7E]*$/;
+
+  /**
+   * Check one channel. Empty channels are always valid.
+   * @param {BC125AT} scanner - used for the band plan and tone tables
+   * @returns {Object[]} issues as { field, severity, message } where field is
+   * the channel property and severity is 'error' or 'warning'
+   */
+  static validateChannel(scanner, channel) {
+    const issues = [];
+    if (scanner.isEmptyChannel(channel)) return issues;
+
+    const error = (field, message) => issues.push({ field, severity: 'error', message });
+    const warning = (field, message) => issues.push({ field, severity: 'warning', message });
+
+    const name = channel.name || '';
+    if (name.length > BC125AT.NAME_LENGTH) {
+      error('name', `Name is longer than ${BC125AT.NAME_LENGTH} characters`);
+    }
+    if (!ChannelValidator.NAME_PATTERN.test(name)) {
+      error('name', 'Name has characters the scanner cannot display (only printable ASCII, no commas)');
+    }
+
+    const frequency = channel.frequency;
+    if (!(frequency > 0)) {
+      error('frequency', 'No frequency set');
+    } else if (!scanner.isFrequencySupported(frequency)) {
+      error('frequency', `${frequency} MHz is outside the scanner's bands`);
+    } else {
+      const segment = BandPlan.findSegment(frequency);
+      if (segment && !BandPlan.isOnGrid(scanner, frequency, segment)) {
+        const nearest = BandPlan.snapFrequency(scanner, frequency);
+        warning('frequency', `${frequency} MHz is not a channel in the ${segment.label} band (${BandPlan.formatSteps(segment)} steps); the nearest channel is ${nearest.toFixed(4)} MHz`);
+      }
+
+      if (segment && !BandPlan.fitsModulation(segment, channel.modulation)) {
+        warning('modulation', `${channel.modulation} in the ${segment.label} band, which uses ${segment.modulation}`);
+      }
+    }
+
+    if (!BC125AT.MODULATIONS.includes(channel.modulation)) {
+      error('modulation', `Unknown modulation ${channel.modulation}`);
+    }
+
+    const tone = channel.ctcssDcs;
+    if (![0, 127, 240].includes(tone) && !scanner.getCTCSSFrequency(tone) && !scanner.getDCSCode(tone)) {
+      error('ctcssDcs', `Unknown CTCSS/DCS code ${tone}`);
+    }
+
+    if (!BC125AT.DELAYS.includes(channel.delay)) {
+      error('delay', `Delay must be one of ${BC125AT.DELAYS.join(', ')} seconds`);
+    }
+
+    return issues;
+  }
+
+  /**
+   * Check a list of channels
+   * @returns {Map} channel index -> issues, for channels that have any
+   */
+  static validateChannels(scanner, channels) {
+    const results = new Map();
+    channels.forEach(channel => {
+      const issues = ChannelValidator.validateChannel(scanner, channel);
+      if (issues.length > 0) results.set(channel.index, issues);
+    });
+    return results;
+  }
+
+  /**
+   * Count errors and warnings in the results of validateChannels()
+   * @returns {Object} { errors, warnings, channels } where channels is the
+   * number of channels with an error
+   */
+  static summarize(results) {
+    let errors = 0;
+    let warnings = 0;
+    let channels = 0;
+    results.forEach(issues => {
+      const channelErrors = issues.filter(issue => issue.severity === 'error').length;
+      errors += channelErrors;
+      warnings += issues.length - channelErrors;
+      if (channelErrors > 0) channels++;
+    });
+    return { errors, warnings, channels };
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ChannelValidator;
+} else if (typeof window !== 'undefined') {
+  window.ChannelValidator = ChannelValidator;
+}
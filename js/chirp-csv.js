@@ -0,0 +1,238 @@
+/**
+ * CHIRP CSV Converter
+ * Reads and writes the CSV files CHIRP exports. CHIRP describes transmitting
+ * radios, so anything a receive-only scanner cannot hold (duplex offsets,
+ * transmit tones, digital modes) is left out and listed in a report.
+ */
+
+class ChirpCSV {
+  static HEADERS = ['Location', 'Name', 'Frequency', 'Duplex', 'Offset', 'Tone', 'rToneFreq',
+    'cToneFreq', 'DtcsCode', 'DtcsPolarity', 'RxDtcsCode', 'CrossMode', 'Mode', 'TStep', 'Skip',
+    'Power', 'Comment', 'URCALL', 'RPT1CALL', 'RPT2CALL', 'DVCODE'];
+  static NAME_LENGTH = 16;
+  static CHANNEL_COUNT = 500;
+  static DEFAULT_DELAY = 2;
+
+  // CHIRP modes the scanner can receive, and what they become
+  static MODES = { Auto: 'AUTO', AM: 'AM', NAM: 'AM', FM: 'FM', WFM: 'FM', NFM: 'NFM' };
+
+  /**
+   * Whether parsed CSV rows look like a CHIRP export
+   */
+  static isChirpFile(rows) {
+    const header = rows[0] || [];
+    return ['Location', 'Name', 'Frequency'].every(column => header.includes(column));
+  }
+
+  /**
+   * Convert a CHIRP CSV file into channels
+   * @param {BC125AT} scanner - used for the band plan and tone tables
+   * @returns {Object} { channels, notes } where notes are { channel, field, message }
+   * for everything that could not be carried over exactly
+   */
+  static parse(scanner, text) {
+    const rows = CSV.parse(text);
+    if (!ChirpCSV.isChirpFile(rows)) {
+      throw new Error('Not a CHIRP CSV file: expected Location, Name and Frequency columns');
+    }
+
+    const header = rows[0];
+    const records = rows.slice(1).map(row => {
+      const record = {};
+      header.forEach((column, i) => {
+        record[column] = (row[i] || '').trim();
+      });
+      return record;
+    }).filter(record => record.Location !== '');
+
+    const notes = [];
+    const channels = [];
+
+    // Most radios number CHIRP memories from 0; the BC125AT starts at 1
+    const offset = records.some(record => parseInt(record.Location) === 0) ? 1 : 0;
+    if (offset) {
+      notes.push({ channel: '', field: 'Location', message: 'Locations start at 0, so every channel was moved up one' });
+    }
+
+    records.forEach(record => {
+      const index = parseInt(record.Location) + offset;
+      if (!Number.isInteger(index) || index < 1 || index > ChirpCSV.CHANNEL_COUNT) {
+        notes.push({ channel: record.Location, field: 'Location', message: `No channel ${record.Location}; row skipped` });
+        return;
+      }
+
+      const note = (field, message) => notes.push({ channel: index, field, message });
+
+      const frequency = parseFloat(record.Frequency);
+      if (!(frequency > 0)) {
+        note('Frequency', `"${record.Frequency}" is not a frequency; row skipped`);
+        return;
+      }
+      if (!scanner.isFrequencySupported(frequency)) {
+        note('Frequency', `${frequency} MHz is outside the scanner's bands; row skipped`);
+        return;
+      }
+
+      let name = record.Name;
+      if (name.length > ChirpCSV.NAME_LENGTH) {
+        name = name.substring(0, ChirpCSV.NAME_LENGTH);
+        note('Name', `"${record.Name}" shortened to ${ChirpCSV.NAME_LENGTH} characters`);
+      }
+
+      if (['+', '-', 'split'].includes(record.Duplex)) {
+        note('Duplex', `Duplex ${record.Duplex} ${record.Offset} dropped; only the receive frequency is kept`);
+      }
+
+      const skip = record.Skip || '';
+
+      channels.push({
+        index,
+        name,
+        frequency: scanner.parseFrequency(scanner.formatFrequency(frequency)),
+        modulation: ChirpCSV.parseMode(record.Mode || 'Auto', note),
+        ctcssDcs: ChirpCSV.parseTone(scanner, record, note),
+        delay: ChirpCSV.DEFAULT_DELAY,
+        lockout: skip === 'S',
+        priority: skip === 'P'
+      });
+    });
+
+    return { channels, notes };
+  }
+
+  /**
+   * Scanner modulation for a CHIRP mode
+   */
+  static parseMode(mode, note) {
+    const modulation = ChirpCSV.MODES[mode];
+    if (!modulation) {
+      note('Mode', `${mode} cannot be received; set to AUTO`);
+      return 'AUTO';
+    }
+    if (mode === 'WFM' || mode === 'NAM') {
+      note('Mode', `${mode} is not available; set to ${modulation}`);
+    }
+    return modulation;
+  }
+
+  /**
+   * Scanner CTCSS/DCS code for a CHIRP tone setting. Only the receive side
+   * of the setting means anything to the scanner.
+   */
+  static parseTone(scanner, record, note) {
+    const ctcss = (column) => {
+      const code = scanner.findCTCSSCode(parseFloat(record[column]));
+      if (code === null) {
+        note('Tone', `${record[column]} Hz is not a CTCSS tone the scanner decodes; no tone set`);
+        return 0;
+      }
+      return code;
+    };
+    const dcs = (column) => {
+      const code = scanner.findDCSCode(record[column]);
+      if (code === null) {
+        note('Tone', `DCS ${record[column]} is not a code the scanner decodes; no tone set`);
+        return 0;
+      }
+      if (record.DtcsPolarity && !record.DtcsPolarity.startsWith('N')) {
+        note('Tone', `DCS polarity ${record.DtcsPolarity} is not supported; normal polarity used`);
+      }
+      return code;
+    };
+
+    switch (record.Tone) {
+      case '':
+        return 0;
+      case 'Tone':
+        note('Tone', `Transmit tone ${record.rToneFreq} Hz used as the receive tone`);
+        return ctcss('rToneFreq');
+      case 'TSQL':
+        return ctcss(record.cToneFreq ? 'cToneFreq' : 'rToneFreq');
+      case 'DTCS':
+        return dcs('DtcsCode');
+      case 'Cross': {
+        const [transmit, receive] = (record.CrossMode || '').split('->');
+        if (transmit) {
+          note('Tone', `Cross mode ${record.CrossMode}: only the receive side is kept`);
+        }
+        if (receive === 'Tone') return ctcss('cToneFreq');
+        if (receive === 'DTCS') return dcs(record.RxDtcsCode ? 'RxDtcsCode' : 'DtcsCode');
+        return 0;
+      }
+      default:
+        note('Tone', `Tone mode ${record.Tone} is not supported; no tone set`);
+        return 0;
+    }
+  }
+
+  /**
+   * CHIRP tuning step (kHz) that lands on a frequency, so CHIRP does not
+   * reject it when loading into another radio
+   */
+  static getTuningStep(scanner, frequency) {
+    const hz = scanner.formatFrequency(frequency) * 100;
+    const step = [5000, 6250, 12500, 2500].find(s => hz % s === 0) || 5000;
+    return (step / 1000).toFixed(2);
+  }
+
+  /**
+   * Convert channels into a CHIRP CSV file. Empty channels are left out.
+   * @returns {Object} { text, notes } where notes are { channel, field, message }
+   * for settings CHIRP has no place for
+   */
+  static stringify(scanner, channels) {
+    const notes = [];
+    const rows = [ChirpCSV.HEADERS];
+
+    channels.filter(channel => !scanner.isEmptyChannel(channel)).forEach(channel => {
+      const note = (field, message) => notes.push({ channel: channel.index, field, message });
+      const record = {
+        Location: channel.index,
+        Name: channel.name || '',
+        Frequency: channel.frequency.toFixed(6),
+        Duplex: '',
+        Offset: '0.000000',
+        Tone: '',
+        rToneFreq: '88.5',
+        cToneFreq: '88.5',
+        DtcsCode: '023',
+        DtcsPolarity: 'NN',
+        RxDtcsCode: '023',
+        CrossMode: 'Tone->Tone',
+        Mode: channel.modulation === 'AUTO' ? 'Auto' : channel.modulation,
+        TStep: ChirpCSV.getTuningStep(scanner, channel.frequency),
+        Skip: channel.lockout ? 'S' : channel.priority ? 'P' : ''
+      };
+
+      const ctcss = scanner.getCTCSSFrequency(channel.ctcssDcs);
+      const dcs = scanner.getDCSCode(channel.ctcssDcs);
+      if (ctcss) {
+        record.Tone = 'TSQL';
+        record.rToneFreq = record.cToneFreq = ctcss.toFixed(1);
+      } else if (dcs) {
+        record.Tone = 'DTCS';
+        record.DtcsCode = record.RxDtcsCode = dcs;
+      } else if (channel.ctcssDcs !== 0) {
+        note('Tone', `${scanner.getCTCSSDCSText(channel.ctcssDcs)} has no CHIRP equivalent; no tone written`);
+      }
+
+      if (channel.lockout && channel.priority) {
+        note('Skip', 'Locked out and priority; only the lockout is written');
+      }
+      if (channel.delay !== ChirpCSV.DEFAULT_DELAY) {
+        note('Delay', `Delay ${channel.delay}s is not kept in CHIRP files`);
+      }
+
+      rows.push(ChirpCSV.HEADERS.map(column => record[column] ?? ''));
+    });
+
+    return { text: CSV.stringify(rows), notes };
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ChirpCSV;
+} else if (typeof window !== 'undefined') {
+  window.ChirpCSV = ChirpCSV;
+}
@@ -0,0 +1,105 @@
+/**
+ * CSV reading and writing (RFC 4180)
+ * Shared by every CSV import and export. Quoted cells may hold delimiters,
+ * doubled quotes and line breaks; lines may end in CRLF or LF, and a byte
+ * order mark left by Excel is ignored.
+ */
+
+class CSV {
+  /**
+   * Split CSV text into records, dropping blank lines
+   * @param {string} delimiter - ',' or '\t' for tab-separated files
+   * @returns {Object[]} records as { line, cells } where line is the line
+   * number the record starts on, for error reports
+   * @throws {Error} if a quoted cell is never closed
+   */
+  static parseRecords(text, delimiter = ',') {
+    const source = text.replace(/^\uFEFF/, '');
+    const records = [];
+    let cells = [];
+    let cell = '';
+    let quoted = false;
+    let wasQuoted = false;
+    let line = 1;
+    let recordLine = 1;
+    let quoteLine = 1;
+
+    const endRecord = () => {
+      cells.push(cell);
+      if (cells.length > 1 || cells[0] !== '' || wasQuoted) {
+        records.push({ line: recordLine, cells });
+      }
+      cells = [];
+      cell = '';
+      wasQuoted = false;
+    };
+
+    for (let i = 0; i < source.length; i++) {
+      const char = source[i];
+
+      if (quoted) {
+        if (char === '"' && source[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          if (char === '\n') line++;
+          cell += char;
+        }
+      } else if (char === '"' && cell === '' && !wasQuoted) {
+        quoted = true;
+        wasQuoted = true;
+        quoteLine = line;
+      } else if (char === delimiter) {
+        cells.push(cell);
+        cell = '';
+        wasQuoted = false;
+      } else if (char === '\r' || char === '\n') {
+        if (char === '\r' && source[i + 1] === '\n') i++;
+        endRecord();
+        line++;
+        recordLine = line;
+      } else {
+        // A stray quote inside an unquoted cell is kept as text
+        cell += char;
+      }
+    }
+
+    if (quoted) {
+      throw new Error(`Line ${quoteLine}: quoted cell is never closed`);
+    }
+    if (cell !== '' || cells.length > 0 || wasQuoted) {
+      endRecord();
+    }
+
+    return records;
+  }
+
+  /**
+   * Split CSV text into rows of cells, dropping blank lines
+   * @returns {string[][]}
+   */
+  static parse(text, delimiter = ',') {
+    return CSV.parseRecords(text, delimiter).map(record => record.cells);
+  }
+
+  /**
+   * Join rows of cells into CSV text with CRLF line endings, quoting only
+   * the cells that need it
+   */
+  static stringify(rows, delimiter = ',') {
+    const quote = cell => {
+      const text = String(cell ?? '');
+      return text.includes(delimiter) || /["\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return rows.map(row => row.map(quote).join(delimiter)).join('\r\n') + '\r\n';
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CSV;
+} else if (typeof window !== 'undefined') {
+  window.CSV = CSV;
+}
@@ -0,0 +1,122 @@
+/**
+ * Channel Edit History
+ * Undo/redo stack for the channel list. Each entry is one user action (an
+ * inline edit, an import, a scanner read...) and holds the channels it
+ * changed as they were before and after, so a 500-channel import undoes in
+ * one step without keeping a copy of every channel for every edit.
+ */
+
+class EditHistory {
+  static LIMIT = 100;
+
+  constructor(limit = EditHistory.LIMIT) {
+    this.limit = limit;
+    this.entries = [];
+    // Number of entries currently applied; entries after it can be redone
+    this.position = 0;
+  }
+
+  /**
+   * Copy a channel list so later edits cannot change it
+   */
+  static snapshot(channels) {
+    return channels.map(channel => ({ ...channel }));
+  }
+
+  /**
+   * Channels that differ between two channel lists
+   * @returns {Object[]} changes as { index, before, after }; before or after
+   * is null when the channel was missing from that list
+   */
+  static diff(before, after) {
+    const beforeByIndex = new Map(before.map(channel => [channel.index, channel]));
+    const afterByIndex = new Map(after.map(channel => [channel.index, channel]));
+    const indexes = [...new Set([...beforeByIndex.keys(), ...afterByIndex.keys()])].sort((a, b) => a - b);
+    const fields = ['name', 'frequency', 'modulation', 'ctcssDcs', 'delay', 'lockout', 'priority'];
+
+    return indexes
+      .filter(index => {
+        const a = beforeByIndex.get(index);
+        const b = afterByIndex.get(index);
+        return !a || !b || fields.some(field => a[field] !== b[field]);
+      })
+      .map(index => ({
+        index,
+        before: beforeByIndex.has(index) ? { ...beforeByIndex.get(index) } : null,
+        after: afterByIndex.has(index) ? { ...afterByIndex.get(index) } : null
+      }));
+  }
+
+  /**
+   * Apply one side of some changes to a channel list
+   * @param {string} side - 'before' to undo, 'after' to redo
+   * @returns {Object[]} the new channel list, sorted by index
+   */
+  static apply(channels, changes, side) {
+    const byIndex = new Map(channels.map(channel => [channel.index, channel]));
+    changes.forEach(change => {
+      if (change[side]) {
+        byIndex.set(change.index, { ...change[side] });
+      } else {
+        byIndex.delete(change.index);
+      }
+    });
+    return [...byIndex.values()].sort((a, b) => a.index - b.index);
+  }
+
+  /**
+   * Add an action to the history, dropping anything that could be redone
+   * @returns {boolean} false if the action changed nothing and was not added
+   */
+  record(label, changes) {
+    if (changes.length === 0) return false;
+
+    this.entries.splice(this.position);
+    this.entries.push({ label, changes, time: new Date() });
+    if (this.entries.length > this.limit) {
+      this.entries.shift();
+    }
+    this.position = this.entries.length;
+    return true;
+  }
+
+  canUndo() {
+    return this.position > 0;
+  }
+
+  canRedo() {
+    return this.position < this.entries.length;
+  }
+
+  /**
+   * Step back one action
+   * @returns {Object|null} the entry to undo, or null if there is none
+   */
+  undo() {
+    if (!this.canUndo()) return null;
+    this.position--;
+    return this.entries[this.position];
+  }
+
+  /**
+   * Step forward one action
+   * @returns {Object|null} the entry to redo, or null if there is none
+   */
+  redo() {
+    if (!this.canRedo()) return null;
+    this.position++;
+    return this.entries[this.position - 1];
+  }
+
+  clear() {
+    this.entries = [];
+    this.position = 0;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = EditHistory;
+} else if (typeof window !== 'undefined') {
+  window.EditHistory = EditHistory;
+}
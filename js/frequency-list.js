@@ -0,0 +1,204 @@
+/**
+ * Frequency List Import
+ * Turns frequency tables downloaded from RadioReference and similar
+ * databases (CSV or TSV) into channels. Columns are mapped onto channel
+ * fields by header name, so a mapping saved for one download works for the
+ * next one from the same source.
+ */
+
+class FrequencyList {
+  // Channel fields a column can be mapped to, with the headers that suggest them
+  static FIELDS = {
+    frequency: { label: 'Frequency', headers: ['frequency', 'freq', 'output', 'rx frequency'] },
+    name: { label: 'Name', headers: ['alpha tag', 'name', 'alpha', 'description'] },
+    modulation: { label: 'Modulation', headers: ['mode', 'modulation', 'emission'] },
+    tone: { label: 'CTCSS/DCS', headers: ['tone', 'pl', 'ctcss', 'ctcss/dcs', 'tone out', 'squelch'] }
+  };
+  static NAME_LENGTH = 16;
+  static DEFAULT_DELAY = 2;
+
+  // Database mode names and the modulation the scanner uses for them
+  static MODES = { AM: 'AM', FM: 'FM', FMN: 'NFM', NFM: 'NFM', FMW: 'FM', WFM: 'FM', AUTO: 'AUTO' };
+
+  /**
+   * Split a downloaded file into a header and data rows, telling tab- and
+   * comma-separated files apart by their first line
+   * @returns {Object} { headers, rows, lines, delimiter } where lines holds
+   * the line number in the file each row starts on
+   */
+  static parse(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const delimiter = firstLine.includes('\t') ? '\t' : ',';
+    const [header, ...records] = CSV.parseRecords(text, delimiter);
+    const headers = header ? header.cells : [];
+
+    if (headers.length < 2) {
+      throw new Error('No columns found; expected a CSV or tab-separated file with a header row');
+    }
+
+    return {
+      headers: headers.map(name => name.trim()),
+      rows: records.map(record => record.cells),
+      lines: records.map(record => record.line),
+      delimiter
+    };
+  }
+
+  /**
+   * Pick a column for each field from the header names
+   * @returns {Object} field -> header name, '' when nothing matched
+   */
+  static guessMapping(headers) {
+    const mapping = {};
+    Object.entries(FrequencyList.FIELDS).forEach(([field, { headers: candidates }]) => {
+      const match = candidates.map(candidate => headers.find(h => h.toLowerCase() === candidate)).find(Boolean);
+      mapping[field] = match || '';
+    });
+    return mapping;
+  }
+
+  /**
+   * Whether a saved mapping can be used with these headers
+   */
+  static fitsHeaders(mapping, headers) {
+    return Object.values(mapping).every(header => header === '' || headers.includes(header));
+  }
+
+  /**
+   * Convert data rows to channel settings using a column mapping
+   * @returns {Object} { entries, notes } where entries are { row, channel }
+   * (row is the line number the row starts on in the file) and notes are
+   * { channel, row, field, message } for rows skipped or changed
+   */
+  static convert(scanner, table, mapping) {
+    const entries = [];
+    const notes = [];
+    const column = field => mapping[field] ? table.headers.indexOf(mapping[field]) : -1;
+    const columns = {
+      frequency: column('frequency'),
+      name: column('name'),
+      modulation: column('modulation'),
+      tone: column('tone')
+    };
+
+    if (columns.frequency === -1) {
+      throw new Error('Choose the column that holds the frequency');
+    }
+
+    table.rows.forEach((cells, i) => {
+      const row = table.lines[i];
+      const cell = field => columns[field] === -1 ? '' : (cells[columns[field]] || '').trim();
+      const note = (field, message) => notes.push({ channel: '', row, field, message: `Line ${row}: ${message}` });
+
+      const frequency = parseFloat(cell('frequency'));
+      if (!(frequency > 0)) {
+        note('Frequency', `"${cell('frequency')}" is not a frequency; row skipped`);
+        return;
+      }
+      if (!scanner.isFrequencySupported(frequency)) {
+        note('Frequency', `${frequency} MHz is outside the scanner's bands; row skipped`);
+        return;
+      }
+
+      let name = cell('name');
+      if (name.length > FrequencyList.NAME_LENGTH) {
+        note('Name', `"${name}" shortened to ${FrequencyList.NAME_LENGTH} characters`);
+        name = name.substring(0, FrequencyList.NAME_LENGTH);
+      }
+
+      const mode = FrequencyList.parseMode(cell('modulation'));
+      if (mode.problem) note('Modulation', mode.problem);
+      const tone = FrequencyList.parseTone(scanner, cell('tone'));
+      if (tone.problem) note('CTCSS/DCS', tone.problem);
+
+      entries.push({
+        row,
+        channel: {
+          name,
+          frequency: scanner.parseFrequency(scanner.formatFrequency(frequency)),
+          modulation: mode.modulation,
+          ctcssDcs: tone.code
+        }
+      });
+    });
+
+    return { entries, notes };
+  }
+
+  /**
+   * Scanner modulation for a database mode such as "FMN" or "AM"
+   * @returns {Object} { modulation, problem } - problem explains a fallback to AUTO
+   */
+  static parseMode(text) {
+    const mode = text.toUpperCase();
+    if (mode === '') {
+      return { modulation: 'AUTO', problem: null };
+    }
+    if (mode in FrequencyList.MODES) {
+      return { modulation: FrequencyList.MODES[mode], problem: null };
+    }
+    return { modulation: 'AUTO', problem: `mode ${text} cannot be received; set to AUTO` };
+  }
+
+  /**
+   * Scanner CTCSS/DCS code for a database tone such as "156.7 PL",
+   * "023 DPL", "D023N" or "CSQ"
+   * @returns {Object} { code, problem } - problem explains a tone that was dropped
+   */
+  static parseTone(scanner, text) {
+    const tone = text.trim().toUpperCase();
+    if (tone === '' || tone === 'CSQ') {
+      return { code: 0, problem: null };
+    }
+
+    const ctcss = tone.match(/^(\d{2,3}\.\d)\s*(PL|HZ)?$/);
+    if (ctcss) {
+      const code = scanner.findCTCSSCode(parseFloat(ctcss[1]));
+      return code === null
+        ? { code: 0, problem: `${ctcss[1]} Hz is not a CTCSS tone the scanner decodes; no tone set` }
+        : { code, problem: null };
+    }
+
+    const dcs = tone.match(/^D?(\d{3})\s*(DPL|DCS|N|I)?$/);
+    if (dcs) {
+      const code = scanner.findDCSCode(dcs[1]);
+      if (code === null) {
+        return { code: 0, problem: `DCS ${dcs[1]} is not a code the scanner decodes; no tone set` };
+      }
+      return dcs[2] === 'I'
+        ? { code, problem: `inverted DCS ${dcs[1]} is not supported; normal polarity used` }
+        : { code, problem: null };
+    }
+
+    return { code: 0, problem: `tone "${text}" not recognised; no tone set` };
+  }
+
+  /**
+   * Put converted entries into empty channels, in a bank or anywhere
+   * @param {number|null} bank - bank 1-10, or null for the first free channels
+   * @returns {Object} { channels, unplaced } - the channels to store and how
+   * many entries did not fit
+   */
+  static assignSlots(scanner, channels, entries, bank) {
+    const range = bank ? scanner.getBankChannelRange(bank) : { first: 1, last: channels.length };
+    const free = channels.filter(channel =>
+      channel.index >= range.first && channel.index <= range.last && scanner.isEmptyChannel(channel));
+
+    const placed = entries.slice(0, free.length).map((entry, i) => ({
+      index: free[i].index,
+      ...entry.channel,
+      delay: FrequencyList.DEFAULT_DELAY,
+      lockout: false,
+      priority: false
+    }));
+
+    return { channels: placed, unplaced: entries.length - placed.length };
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = FrequencyList;
+} else if (typeof window !== 'undefined') {
+  window.FrequencyList = FrequencyList;
+}
@@ -0,0 +1,331 @@
+/**
+ * BC125AT Radio Image
+ * Versioned JSON backup of everything the scanner exposes over the PC
+ * protocol: channels, bank enables, Close Call, search, global lockouts and
+ * system settings, plus the model and firmware it was taken from.
+ */
+
+class RadioImage {
+  static FORMAT = 'bc125at-radio-image';
+  static VERSION = 1;
+  static SUPPORTED_MODELS = ['BC125AT', 'BC125XLT', 'BC125XLTC'];
+  static CHANNEL_COUNT = 500;
+  static BANK_COUNT = 10;
+
+  // Numeric system settings and their ranges
+  static SETTING_LEVELS = {
+    contrast: { min: 1, max: 15 },
+    volume: { min: 0, max: 15 },
+    squelch: { min: 0, max: 15 },
+    batteryCharge: { min: 1, max: 16 }
+  };
+
+  /**
+   * Build an image from data already held by the app
+   */
+  static create(data) {
+    return {
+      format: RadioImage.FORMAT,
+      version: RadioImage.VERSION,
+      createdAt: new Date().toISOString(),
+      radio: {
+        model: data.model || null,
+        firmware: data.firmware || null
+      },
+      channels: data.channels,
+      banks: {
+        enabled: data.bankEnabled,
+        names: data.bankNames || new Array(RadioImage.BANK_COUNT).fill('')
+      },
+      closeCall: data.closeCall,
+      search: data.search,
+      lockouts: data.lockouts,
+      settings: data.settings
+    };
+  }
+
+  /**
+   * Read a complete image from a connected scanner in program mode.
+   * Channels are read one at a time with no fallback: a channel that cannot
+   * be read fails the backup, since an image holding an empty channel in its
+   * place would erase the real one on restore.
+   * @param {BC125AT} scanner
+   * @param {string[]} bankNames - workspace bank names to store with the image
+   * @param {Function} progressCallback - called with (current, total)
+   */
+  static async read(scanner, bankNames, progressCallback) {
+    const sections = 5;
+    const total = RadioImage.CHANNEL_COUNT + sections;
+    const report = (current) => progressCallback && progressCallback(current, total);
+
+    const model = await scanner.getModelInfo();
+    const firmware = await scanner.getFirmwareVersion();
+    const channels = [];
+    for (let i = 1; i <= RadioImage.CHANNEL_COUNT; i++) {
+      try {
+        channels.push(await scanner.getChannelInfo(i));
+      } catch (error) {
+        throw new Error(`Backup stopped: channel ${i} could not be read (${error.message})`);
+      }
+      report(i);
+    }
+
+    const bankEnabled = await scanner.getScanChannelGroups();
+    report(RadioImage.CHANNEL_COUNT + 1);
+    const closeCall = await scanner.getCloseCallSettings();
+    report(RadioImage.CHANNEL_COUNT + 2);
+    const search = await scanner.getSearchSettings();
+    report(RadioImage.CHANNEL_COUNT + 3);
+    const lockouts = await scanner.getGlobalLockouts();
+    report(RadioImage.CHANNEL_COUNT + 4);
+    const settings = await scanner.getSystemSettings();
+    report(total);
+
+    return RadioImage.create({
+      model, firmware, channels, bankEnabled, bankNames, closeCall, search, lockouts, settings
+    });
+  }
+
+  /**
+   * Write a complete image to a connected scanner in program mode.
+   * The image is validated and checked against the connected model first;
+   * nothing is written if either check fails.
+   */
+  static async write(scanner, image, progressCallback) {
+    const errors = RadioImage.validate(image, scanner);
+    if (errors.length > 0) {
+      throw new Error(`Invalid radio image: ${errors.join('; ')}`);
+    }
+
+    const model = await scanner.getModelInfo();
+    const compatibility = RadioImage.checkCompatibility(image, model);
+    if (compatibility.errors.length > 0) {
+      throw new Error(compatibility.errors.join('; '));
+    }
+
+    const sections = 5;
+    const total = RadioImage.CHANNEL_COUNT + sections;
+    const report = (current) => progressCallback && progressCallback(current, total);
+
+    const programmed = await scanner.programAllChannels(image.channels, (current) => report(current));
+
+    await scanner.setScanChannelGroups(image.banks.enabled);
+    report(RadioImage.CHANNEL_COUNT + 1);
+    await scanner.setCloseCallSettings(image.closeCall);
+    report(RadioImage.CHANNEL_COUNT + 2);
+    await scanner.setSearchSettings(image.search);
+    report(RadioImage.CHANNEL_COUNT + 3);
+    await scanner.setGlobalLockouts(image.lockouts);
+    report(RadioImage.CHANNEL_COUNT + 4);
+    await scanner.setSystemSettings(image.settings);
+    report(total);
+
+    return programmed;
+  }
+
+  /**
+   * Parse image JSON, throwing if it is not a valid radio image
+   */
+  static parse(text) {
+    let image;
+    try {
+      image = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Not a radio image: ${error.message}`);
+    }
+
+    const errors = RadioImage.validate(image);
+    if (errors.length > 0) {
+      throw new Error(`Invalid radio image: ${errors.join('; ')}`);
+    }
+
+    return image;
+  }
+
+  /**
+   * Serialise an image for saving
+   */
+  static stringify(image) {
+    return JSON.stringify(image, null, 2);
+  }
+
+  /**
+   * Check an image against the schema and every value against what the
+   * scanner accepts, so a bad image is refused before anything is written
+   * @param {BC125AT} scanner - used for the band and tone tables
+   * @returns {string[]} problems found, empty when the image is valid
+   */
+  static validate(image, scanner = new BC125AT()) {
+    const errors = [];
+    const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+    const isBoolArray = (value, length) => Array.isArray(value) && value.length === length &&
+      value.every(v => typeof v === 'boolean');
+
+    if (!isObject(image) || image.format !== RadioImage.FORMAT) {
+      return ['not a BC125AT radio image'];
+    }
+
+    if (!Number.isInteger(image.version) || image.version < 1) {
+      errors.push('missing or invalid version');
+    } else if (image.version > RadioImage.VERSION) {
+      return [`image version ${image.version} was made by a newer version of this programmer`];
+    }
+
+    if (!isObject(image.radio) || typeof image.radio.model !== 'string') {
+      errors.push('missing radio model');
+    }
+
+    if (!Array.isArray(image.channels) || image.channels.length !== RadioImage.CHANNEL_COUNT) {
+      errors.push(`channels must list all ${RadioImage.CHANNEL_COUNT} channels`);
+    } else {
+      image.channels.forEach((channel, i) => {
+        const problem = RadioImage.validateChannel(scanner, channel, i + 1);
+        if (problem) errors.push(problem);
+      });
+    }
+
+    if (!isObject(image.banks) || !isBoolArray(image.banks.enabled, RadioImage.BANK_COUNT)) {
+      errors.push(`banks.enabled must hold ${RadioImage.BANK_COUNT} true/false values`);
+    } else if (!Array.isArray(image.banks.names) || image.banks.names.length !== RadioImage.BANK_COUNT) {
+      errors.push(`banks.names must hold ${RadioImage.BANK_COUNT} names`);
+    } else if (!image.banks.enabled.includes(true)) {
+      errors.push('at least one bank must be enabled for scanning');
+    }
+
+    const closeCall = image.closeCall;
+    if (!isObject(closeCall) || typeof closeCall.mode !== 'string' ||
+      typeof closeCall.alertBeep !== 'boolean' || typeof closeCall.alertLight !== 'boolean' ||
+      !isBoolArray(closeCall.bands, 5) || typeof closeCall.lockout !== 'boolean') {
+      errors.push('closeCall is missing or malformed');
+    } else if (!BC125AT.CLOSE_CALL_MODES.includes(closeCall.mode)) {
+      errors.push(`closeCall.mode must be one of ${BC125AT.CLOSE_CALL_MODES.join(', ')}`);
+    }
+
+    const search = image.search;
+    if (!isObject(search) || !isBoolArray(search.serviceGroups, 10) ||
+      !isBoolArray(search.customGroups, 10) || !Array.isArray(search.customRanges) ||
+      search.customRanges.length !== 10 || typeof search.delay !== 'number' ||
+      typeof search.codeSearch !== 'boolean') {
+      errors.push('search is missing or malformed');
+    } else if (search.customRanges.some(range => !isObject(range) ||
+      typeof range.lower !== 'number' || typeof range.upper !== 'number')) {
+      errors.push('search.customRanges entries need numeric lower and upper limits');
+    } else {
+      if (!BC125AT.DELAYS.includes(search.delay)) {
+        errors.push(`search.delay must be one of ${BC125AT.DELAYS.join(', ')} seconds`);
+      }
+      search.customRanges.forEach((range, i) => {
+        if (range.index !== i + 1) {
+          errors.push(`custom search range ${i + 1} has index ${range.index}`);
+          return;
+        }
+        const problems = scanner.validateSearchRange(range);
+        if (problems.length > 0) {
+          errors.push(`custom search range ${range.index}: ${problems.join(', ')}`);
+        }
+      });
+    }
+
+    if (!Array.isArray(image.lockouts) || image.lockouts.some(f => typeof f !== 'number')) {
+      errors.push('lockouts must be a list of frequencies');
+    } else if (image.lockouts.length > BC125AT.MAX_GLOBAL_LOCKOUTS) {
+      errors.push(`lockouts can hold at most ${BC125AT.MAX_GLOBAL_LOCKOUTS} frequencies`);
+    } else {
+      image.lockouts.filter(f => !scanner.isFrequencySupported(f)).forEach(f => {
+        errors.push(`lockout ${f} MHz is outside the scanner's bands`);
+      });
+    }
+
+    const settingKeys = ['backlight', 'contrast', 'volume', 'squelch', 'keyBeep', 'keyLock',
+      'batteryCharge', 'priority', 'weatherAlert'];
+    if (!isObject(image.settings) || settingKeys.some(key => !(key in image.settings))) {
+      errors.push('settings is missing or incomplete');
+    } else {
+      errors.push(...RadioImage.validateSettings(image.settings));
+    }
+
+    return errors;
+  }
+
+  /**
+   * Check system setting values against the scanner's ranges
+   * @returns {string[]} problems found
+   */
+  static validateSettings(settings) {
+    const errors = [];
+
+    if (!(settings.backlight in BC125AT.BACKLIGHT_MODES)) {
+      errors.push(`settings.backlight must be one of ${Object.keys(BC125AT.BACKLIGHT_MODES).join(', ')}`);
+    }
+    Object.entries(RadioImage.SETTING_LEVELS).forEach(([key, { min, max }]) => {
+      const value = settings[key];
+      if (!Number.isInteger(value) || value < min || value > max) {
+        errors.push(`settings.${key} must be a whole number from ${min} to ${max}`);
+      }
+    });
+    ['keyBeep', 'keyLock', 'weatherAlert'].forEach(key => {
+      if (typeof settings[key] !== 'boolean') {
+        errors.push(`settings.${key} must be true or false`);
+      }
+    });
+    if (!BC125AT.PRIORITY_MODES.includes(settings.priority)) {
+      errors.push(`settings.priority must be one of ${BC125AT.PRIORITY_MODES.join(', ')}`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Check one channel entry, types first and then values against what the
+   * scanner stores (ChannelValidator errors; warnings are accepted)
+   * @returns {string|null} a message, or null when the channel is valid
+   */
+  static validateChannel(scanner, channel, expectedIndex) {
+    if (channel === null || typeof channel !== 'object') {
+      return `channel ${expectedIndex} is not an object`;
+    }
+    if (channel.index !== expectedIndex) {
+      return `channel ${expectedIndex} has index ${channel.index}`;
+    }
+    if (typeof channel.name !== 'string' || typeof channel.frequency !== 'number' ||
+      typeof channel.modulation !== 'string' || typeof channel.ctcssDcs !== 'number' ||
+      typeof channel.delay !== 'number' || typeof channel.lockout !== 'boolean' ||
+      typeof channel.priority !== 'boolean') {
+      return `channel ${expectedIndex} has missing or mistyped fields`;
+    }
+
+    const error = ChannelValidator.validateChannel(scanner, channel).find(issue => issue.severity === 'error');
+    if (error) {
+      return `channel ${expectedIndex}: ${error.message}`;
+    }
+    return null;
+  }
+
+  /**
+   * Check an image can be restored to the connected scanner
+   * @returns {Object} { errors, warnings }
+   */
+  static checkCompatibility(image, connectedModel) {
+    const errors = [];
+    const warnings = [];
+
+    if (!RadioImage.SUPPORTED_MODELS.includes(connectedModel)) {
+      errors.push(`Connected scanner reports model ${connectedModel || 'unknown'}, which is not supported`);
+    } else if (image.radio.model !== connectedModel) {
+      if (RadioImage.SUPPORTED_MODELS.includes(image.radio.model)) {
+        warnings.push(`Image was taken from a ${image.radio.model} but a ${connectedModel} is connected`);
+      } else {
+        errors.push(`Image was taken from a ${image.radio.model}, which cannot be restored to a ${connectedModel}`);
+      }
+    }
+
+    return { errors, warnings };
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RadioImage;
+} else if (typeof window !== 'undefined') {
+  window.RadioImage = RadioImage;
+}
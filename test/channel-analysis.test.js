@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const BC125AT = require('../js/bc125at.js');
+global.BC125AT = BC125AT;
+const ChannelAnalysis = require('../js/channel-analysis.js');
+
+const scanner = new BC125AT();
+
+function channel(index, fields) {
+  return { ...scanner.createEmptyChannel(index), modulation: 'FM', delay: 2, ...fields };
+}
+
+function groupsOf(channels, type, tolerance) {
+  return ChannelAnalysis.analyze(scanner, channels, tolerance)
+    .filter(group => group.type === type)
+    .map(group => group.indexes);
+}
+
+test('same frequency under different names and tones is one group', () => {
+  const channels = [
+    channel(1, { name: 'FIRE', frequency: 154.43, ctcssDcs: 64 }),
+    channel(2, { name: 'FD DISP', frequency: 154.43, ctcssDcs: 70 }),
+    channel(3, { name: 'FIRE DISPATCH', frequency: 154.43, ctcssDcs: 0 })
+  ];
+  assert.deepStrictEqual(groupsOf(channels, 'frequency'), [[1, 2, 3]]);
+  assert.deepStrictEqual(groupsOf(channels, 'tone'), []);
+});
+
+test('channels that differ only by tone also form a tone group', () => {
+  const channels = [
+    channel(1, { name: 'FIRE', frequency: 154.43, ctcssDcs: 64 }),
+    channel(2, { name: 'fire ', frequency: 154.43, ctcssDcs: 70 }),
+    channel(3, { name: 'FD DISP', frequency: 154.43, ctcssDcs: 70 }),
+    channel(4, { name: 'FIRE', frequency: 154.43, ctcssDcs: 64, modulation: 'NFM' })
+  ];
+  assert.deepStrictEqual(groupsOf(channels, 'frequency'), [[1, 2, 3, 4]]);
+  assert.deepStrictEqual(groupsOf(channels, 'tone'), [[1, 2]]);
+});
+
+test('tolerance decides which frequencies are the same', () => {
+  const channels = [
+    channel(1, { name: 'A', frequency: 462.5625 }),
+    channel(2, { name: 'B', frequency: 462.5640 }),
+    channel(3, { name: 'C', frequency: 462.5875 })
+  ];
+  assert.deepStrictEqual(groupsOf(channels, 'frequency'), [[1, 2]]);
+  assert.deepStrictEqual(groupsOf(channels, 'frequency', 0), []);
+});
+
+test('empty channels and single channels are not reported', () => {
+  const channels = [
+    scanner.createEmptyChannel(1),
+    scanner.createEmptyChannel(2),
+    channel(3, { name: 'WX', frequency: 162.55 })
+  ];
+  assert.deepStrictEqual(ChannelAnalysis.analyze(scanner, channels), []);
+});
+
+test('repeated names and priority conflicts are found', () => {
+  const channels = [
+    channel(1, { name: 'Tower', frequency: 118.3, modulation: 'AM', priority: true }),
+    channel(2, { name: ' TOWER', frequency: 119.1, modulation: 'AM', priority: true }),
+    channel(51, { name: 'Ground', frequency: 121.9, modulation: 'AM', priority: true })
+  ];
+  assert.deepStrictEqual(groupsOf(channels, 'name'), [[1, 2]]);
+  const priority = ChannelAnalysis.analyze(scanner, channels).filter(group => group.type === 'priority');
+  assert.deepStrictEqual(priority.map(group => [group.bank, group.indexes]), [[1, [1, 2]]]);
+});